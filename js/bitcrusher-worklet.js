@@ -0,0 +1,86 @@
+/**
+ * ============================================================================
+ * BITCRUSHER WORKLET
+ * ============================================================================
+ *
+ * @description Bit-depth and sample-rate reduction for the pads and the master
+ * chain. Loaded with audioWorklet.addModule() into the live AudioContext and
+ * into every OfflineAudioContext used for bounces, so both render the same.
+ *
+ * Parameters (k-rate):
+ * - bits: quantizer depth (1-16, 16 = off)
+ * - rate: hold rate in Hz (20 to sampleRate, sampleRate = off)
+ *
+ * The sample-and-hold grid starts at an anchor frame instead of the context's
+ * absolute frame 0: pad crushers are anchored to their voice's start time and
+ * the master crusher to the sequence start (processorOptions.anchorFrame, or a
+ * { anchorFrame } port message). Live hits sit at arbitrary absolute frames
+ * while a bounce places them loop-relative from 0, so only relative anchoring
+ * gives both the same held samples.
+ *
+ * The processor stays alive (including quanta without input, such as the
+ * ones before a scheduled voice starts) until it gets a { release: true }
+ * port message; pad crushers are released when their voice ends.
+ * ============================================================================
+ */
+
+class BitcrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bits', defaultValue: 16, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+            { name: 'rate', defaultValue: sampleRate, minValue: 20, maxValue: sampleRate, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor(options) {
+        super();
+        this.anchorFrame = (options && options.processorOptions && options.processorOptions.anchorFrame) || 0;
+        this.holdIndex = [];  // Last hold period per channel
+        this.held = [];       // Held (already quantized) value per channel
+        this.alive = true;
+
+        this.port.onmessage = (event) => {
+            if (typeof event.data.anchorFrame === 'number') {
+                this.anchorFrame = event.data.anchorFrame;
+            }
+            if (event.data.release) {
+                this.alive = false;
+            }
+        };
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (input.length === 0) return this.alive;
+
+        const bits = parameters.bits[0];
+        const rate = Math.min(parameters.rate[0], sampleRate);
+        const levels = Math.pow(2, bits - 1);
+        const quantize = bits < 16;
+        const step = rate / sampleRate;
+
+        for (let channel = 0; channel < output.length; channel++) {
+            const source = input[channel] || input[0];
+            const target = output[channel];
+
+            if (!quantize && step >= 1) {
+                target.set(source);
+                continue;
+            }
+
+            for (let i = 0; i < target.length; i++) {
+                const index = Math.floor((currentFrame + i - this.anchorFrame) * step);
+                if (step >= 1 || index !== this.holdIndex[channel]) {
+                    this.holdIndex[channel] = index;
+                    this.held[channel] = quantize ? Math.round(source[i] * levels) / levels : source[i];
+                }
+                target[i] = this.held[channel];
+            }
+        }
+
+        return this.alive;
+    }
+}
+
+registerProcessor('bitcrusher', BitcrusherProcessor);
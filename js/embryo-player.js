@@ -63,11 +63,18 @@
         
         // Audio System Configuration
         const FFT_SIZE = 256;                    // Fast Fourier Transform size for visualization
-        const BEATS_PER_BAR = 4;                 // Standard 4/4 time signature
+        const BEATS_PER_BAR = 4;                 // Default 4/4 time signature
         const MIN_BPM = 60;                      // Minimum tempo (60 BPM)
         const MAX_BPM = 200;                     // Maximum tempo (200 BPM)
         const PRE_COUNT_BARS = 1;                // Pre-count bars before recording
-        const BAR_COUNT = 4;                     // Total bars in sequence (4-bar loop)
+        const BAR_COUNT = 4;                     // Default bars per pattern (4-bar loop)
+        const MIN_PATTERN_BARS = 1;              // Shortest pattern length
+        const MAX_PATTERN_BARS = 64;             // Longest pattern length
+        const TIME_SIGNATURES = ['4/4', '3/4', '5/4', '7/8', '6/8']; // Selectable time signatures
+        const PATTERN_COUNT = 16;                // Patterns in the pattern bank
+        const MAX_SONG_REPEATS = 8;              // Highest repeat count of a song chain step
+        const AUTOMATION_SLIDERS = ['slider-1', 'slider-2', 'slider-3', 'slider-4']; // Recordable master sliders
+        const AUTOMATION_MIN_INTERVAL = 0.02;    // Closer slider moves overwrite the previous point (s)
         
         // BPM Control Configuration
         const BPM_LONG_PRESS_DELAY = 200;        // Delay before rapid BPM changes (ms)
@@ -83,6 +90,129 @@
         const SCHEDULE_AHEAD_TIME = 0.12;        // Schedule horizon in seconds
         const LOOKAHEAD = 0.025;                 // Scheduler tick interval in seconds
 
+        // Velocity Configuration
+        const DEFAULT_VELOCITY = 127;            // Mouse, keyboard and events recorded without velocity
+        const VELOCITY_CURVES = ['linear', 'log', 'fixed']; // Velocity → gain curves
+        const VELOCITY_LOG_RANGE_DB = 40;        // Dynamic range of the log curve (dB)
+        const VELOCITY_MIN_CUTOFF = 800;         // Brightness filter cutoff at the softest hit (Hz)
+
+        // Voice Configuration
+        const VOICE_MODES = ['poly', 'mono'];    // Polyphonic with a voice limit, or monophonic retrigger
+        const MAX_VOICES = 8;                    // Highest per-pad voice limit
+        const CHOKE_GROUPS = 4;                  // Assignable choke groups (0 = none)
+        const VOICE_RELEASE_TIME = 0.015;        // Fade when a voice is choked or stolen (s)
+        const PLAY_MODES = ['oneshot', 'gate', 'loop', 'toggle']; // Pad playback modes
+        const SLICE_FADE_TIME = 0.003;           // Fade in/out at slice boundaries to remove clicks (s)
+        const FILTER_TYPES = ['off', 'lowpass', 'highpass', 'bandpass']; // Per-pad filter modes
+        const FILTER_MIN_CUTOFF = 20;            // Pad filter cutoff range (Hz)
+        const FILTER_MAX_CUTOFF = 20000;
+        const FILTER_MAX_Q = 20;                 // Pad filter Q at full resonance
+        const FILTER_ENV_OCTAVES = 5;            // Cutoff sweep of the envelope at ±100% amount
+        const FILTER_VELOCITY_OCTAVES = 4;       // Cutoff drop of the softest hit at 100% velocity amount
+        const BITCRUSHER_WORKLET_URL = 'js/bitcrusher-worklet.js'; // AudioWorklet module ('bitcrusher' processor)
+        const CRUSH_MIN_RATE = 500;              // Hold rate at crushRate 0 (Hz); 100 = context sample rate
+        const DEFAULT_PAD_SETTINGS = {
+            playMode: 'oneshot',  // One of PLAY_MODES
+            voiceMode: 'poly',    // One of VOICE_MODES
+            voiceLimit: MAX_VOICES, // Poly voices before the oldest is stolen
+            chokeGroup: 0,        // 1-CHOKE_GROUPS, 0 = none
+            tune: 0,              // Coarse tune (semitones, -24 to +24)
+            fine: 0,              // Fine tune (cents, -100 to +100)
+            level: 100,           // Pad level (%)
+            pan: 0,               // Stereo pan (-100 left to +100 right)
+            reverse: false,       // Play the sample backwards
+            startOffset: 0,       // Skip this percentage of the sample or slice
+            attack: 0,            // Envelope attack (ms)
+            decay: 0,             // Envelope decay (ms)
+            sustain: 100,         // Envelope sustain level (%)
+            release: 50,          // Envelope release on gate release / toggle stop (ms)
+            filterType: 'off',    // One of FILTER_TYPES
+            cutoff: 100,          // Filter cutoff (0-100, exponential FILTER_MIN_CUTOFF to FILTER_MAX_CUTOFF)
+            resonance: 0,         // Filter resonance (%)
+            filterEnv: 0,         // Envelope → cutoff amount (-100 to +100 %)
+            filterVelocity: 0,    // Velocity → cutoff amount (%): soft hits are darker
+            crushBits: 16,        // Bitcrusher depth (1-16, 16 = off)
+            crushRate: 100,       // Bitcrusher hold rate (0-100, 100 = off)
+            sendDelay: 0,         // Aux send 1 → delay (%)
+            sendReverb: 0         // Aux send 2 → reverb (%)
+        };
+
+        // Send Effects Configuration (aux delay and reverb returning into the master chain)
+        const DELAY_DIVISIONS = {                // Delay time in quarter notes
+            '1/4': 1, '1/8.': 0.75, '1/8': 0.5, '1/8T': 1 / 3, '1/16.': 0.375, '1/16': 0.25, '1/16T': 1 / 6
+        };
+        const MAX_DELAY_TIME = 1.0;              // Longest delay (1/4 at MIN_BPM)
+        const MAX_DELAY_FEEDBACK = 0.9;          // Feedback gain at 100%
+        const REVERB_MIN_DECAY = 0.3;            // Reverb decay range (s)
+        const REVERB_MAX_DECAY = 8;
+
+        // Distortion Configuration (slider 2 WaveShaper)
+        const DISTORTION_MODELS = ['tube', 'hard', 'fold', 'asym', 'tape']; // Curve shapes
+        const DISTORTION_OVERSAMPLING = ['2x', '4x'];  // WaveShaper oversample choices
+        const DISTORTION_CURVE_SIZE = 8192;      // Points per WaveShaper curve
+        const DISTORTION_MAX_DRIVE = 10;         // Input drive of hard/fold/asym/tape at 100%
+
+        // Master EQ / Isolator Configuration (Linkwitz-Riley 3-band split after masterFilter)
+        const EQ_BANDS = ['eqLow', 'eqMid', 'eqHigh'];  // Band gain keys; kills are <band>Kill
+        const EQ_RANGES = {                      // effectsValues ranges, also used to scale MIDI CC
+            eqLow: [-24, 6], eqMid: [-24, 6], eqHigh: [-24, 6],   // Band gain (dB)
+            eqLowFreq: [50, 800], eqHighFreq: [1000, 12000]      // Crossovers (Hz)
+        };
+        const EQ_SMOOTHING = 0.005;              // Gain/crossover time constant (s), keeps kills click-free
+        const DEFAULT_MIDI_CC_MAP = {            // CC number → control target (reassigned with LEARN)
+            20: 'eqLow', 21: 'eqMid', 22: 'eqHigh', 23: 'eqLowKill', 24: 'eqMidKill', 25: 'eqHighKill'
+        };
+
+        // Master Dynamics Configuration (compressor + safety limiter after distortionPostGain)
+        const LIMITER_THRESHOLD = -1;            // Limiter threshold (dBFS)
+        const LIMITER_RELEASE = 0.05;            // Limiter release (s)
+        const GR_METER_INTERVAL = 100;           // Gain-reduction readout refresh (ms)
+
+        // Kit Storage Configuration (IndexedDB persistence)
+        const KIT_DB_NAME = 'embryoPlayerKit';   // IndexedDB database name
+        const KIT_DB_VERSION = 1;                // IndexedDB schema version
+        const KIT_SAVE_DELAY = 500;              // Debounce before writing kit changes (ms)
+
+        // Project File Configuration (.embryo bundles)
+        const PROJECT_MAGIC = 'EMBRYOPJ';         // 8-byte file signature
+        const PROJECT_FORMAT = 'embryo-project'; // Header format identifier
+        const PROJECT_VERSION = 1;               // Binary layout / header version
+
+        // MIDI Pad Mapping Configuration
+        const MIDI_MAP_FORMAT = 'embryo-midi-map';  // Exported mapping JSON identifier
+        const MIDI_MAP_VERSION = 1;
+        const MIDI_CC_MODES = ['absolute', 'relative-2c', 'relative-64', 'relative-sign']; // Knob encodings
+        const MIDI_CC_CONTROLS = {               // Learnable element id → CC target (EQ controls use data-effect)
+            'slider-1': 'slider-1', 'slider-2': 'slider-2', 'slider-3': 'slider-3', 'slider-4': 'slider-4',
+            'tempo-up': 'bpm', 'tempo-down': 'bpm', 'tempo-display': 'bpm',
+            'record-sequence': 'rec', 'overdub-sequence': 'dub', 'play-sequence': 'play',
+            'stop-sequence': 'stop', 'clear-sequence': 'clear',
+            'bank-a': 'bank-A', 'bank-b': 'bank-B', 'bank-c': 'bank-C', 'bank-d': 'bank-D', 'bank-e': 'qt'
+        };
+        const MIDI_SOFT_TAKEOVER = 0.03;         // Absolute knobs pick a parameter up within 3% of its range (or when crossing it)
+        const MIDI_NOTE_PRESETS = {              // Notes for pads 1-16 (top-left to bottom-right); channel 0 = any
+            chromatic: { name: 'Chromatic (note % 16)', channel: 0, notes: [] },
+            gm: { name: 'General MIDI Drums', channel: 10, notes: [49, 51, 53, 54, 41, 45, 48, 50, 37, 39, 44, 56, 36, 38, 42, 46] },
+            launchpad: { name: 'Launchpad (Programmer mode)', channel: 1, notes: [41, 42, 43, 44, 31, 32, 33, 34, 21, 22, 23, 24, 11, 12, 13, 14] },
+            mpd218: { name: 'Akai MPD218 (Bank A)', channel: 10, notes: [48, 49, 50, 51, 44, 45, 46, 47, 40, 41, 42, 43, 36, 37, 38, 39] }
+        };
+        const MIDI_OUTPUT_PROFILES = {           // What each MIDI output receives (picked per device in the MIDI modal)
+            off: { name: 'Off' },
+            echo: { name: 'Note echo', echo: true }, // Pad hits as notes, using the pad's mapped note/channel
+            launchpad: {
+                name: 'Launchpad (Programmer mode)', channel: 1,
+                notes: MIDI_NOTE_PRESETS.launchpad.notes,               // 4×4 bottom-left block
+                colors: { empty: 0, loaded: 45, hit: 3, rec: 5, dub: 9, play: 21, bank: 13 }, // Palette: off, blue, white, red, orange, green, yellow
+                controls: { rec: 89, dub: 79, play: 69, 'bank-A': 91, 'bank-B': 92, 'bank-C': 93, 'bank-D': 94 } // Side/top button CCs
+            }
+        };
+        const MIDI_FLASH_TIME = 0.1;             // Pad LED flash / echoed note length in seconds
+        const MIDI_CLOCK_MODES = ['off', 'master', 'slave']; // Send clock, follow clock, or neither
+        const MIDI_CLOCK_PPQN = 24;              // MIDI clock pulses per quarter note
+        const MIDI_CLOCK_SMOOTHING = 0.1;        // Weight of each new pulse interval when following clock
+        const MIDI_CLOCK_TIMEOUT = 500;          // ms without pulses before the tempo estimate restarts
+        const MIDI_CLOCK_SLAVE_DELAY = 0.05;     // Seconds playback runs behind incoming clock (scheduling headroom)
+
         // ============================================================================
         // SAMPLE FILES CONFIGURATION
         // ============================================================================
@@ -123,6 +253,75 @@
             
             return null; // Invalid bank prefix
         }
+
+        /**
+         * Encode an AudioBuffer as a WAV file
+         * @param {AudioBuffer} audioBuffer - Rendered audio to encode
+         * @param {number} bitDepth - 16 or 24 (integer PCM) or 32 (IEEE float)
+         * @returns {Blob} WAV file contents
+         */
+        function encodeWav(audioBuffer, bitDepth) {
+            const numberOfChannels = audioBuffer.numberOfChannels;
+            const sampleRate = audioBuffer.sampleRate;
+            const isFloat = bitDepth === 32;
+            const bytesPerSample = bitDepth / 8;
+            const blockAlign = numberOfChannels * bytesPerSample;
+            const dataLength = audioBuffer.length * blockAlign;
+            const bytes = new ArrayBuffer(44 + dataLength);
+            const view = new DataView(bytes);
+            
+            function writeString(offset, text) {
+                for (let i = 0; i < text.length; i++) {
+                    view.setUint8(offset + i, text.charCodeAt(i));
+                }
+            }
+            
+            // RIFF header + fmt chunk (1 = PCM, 3 = IEEE float) + data chunk
+            writeString(0, 'RIFF');
+            view.setUint32(4, 36 + dataLength, true);
+            writeString(8, 'WAVE');
+            writeString(12, 'fmt ');
+            view.setUint32(16, 16, true);
+            view.setUint16(20, isFloat ? 3 : 1, true);
+            view.setUint16(22, numberOfChannels, true);
+            view.setUint32(24, sampleRate, true);
+            view.setUint32(28, sampleRate * blockAlign, true);
+            view.setUint16(32, blockAlign, true);
+            view.setUint16(34, bitDepth, true);
+            writeString(36, 'data');
+            view.setUint32(40, dataLength, true);
+            
+            const channels = [];
+            for (let c = 0; c < numberOfChannels; c++) {
+                channels.push(audioBuffer.getChannelData(c));
+            }
+            
+            // Interleave channels
+            let position = 44;
+            for (let i = 0; i < audioBuffer.length; i++) {
+                for (let c = 0; c < numberOfChannels; c++) {
+                    const sample = channels[c][i];
+                    
+                    if (isFloat) {
+                        view.setFloat32(position, sample, true);
+                    } else {
+                        const clamped = Math.max(-1, Math.min(1, sample));
+                        if (bitDepth === 16) {
+                            view.setInt16(position, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+                        } else {
+                            const value = Math.round(clamped < 0 ? clamped * 0x800000 : clamped * 0x7FFFFF);
+                            view.setUint8(position, value & 0xFF);
+                            view.setUint8(position + 1, (value >> 8) & 0xFF);
+                            view.setUint8(position + 2, (value >> 16) & 0xFF);
+                        }
+                    }
+                    
+                    position += bytesPerSample;
+                }
+            }
+            
+            return new Blob([bytes], { type: 'audio/wav' });
+        }
         
         // ============================================================================
         // CORE CLASSES
@@ -137,6 +336,7 @@
          * @property {EmbrioPlayer} embryoPlayer - Reference to main player instance
          * @property {Map} pads - Map of pad elements and their states
          * @property {boolean} midiAvailable - MIDI connection status
+         * @property {Object} midiInputSettings - MIDI input name → { enabled, channel } (channel 0 = OMNI)
          * @property {Object} keyToPad - Keyboard mapping configuration
          * @property {Set} pressedKeys - Currently pressed keyboard keys
          * 
@@ -163,11 +363,14 @@
         };
                 
                 this.pressedKeys = new Set();
+                this.midiInputSettings = {};
                 this.init();
             }
             
             init() {
+                this.loadMidiInputSettings();
                 this.setupKeyboardControl();
+                this.setupMidiInputControls();
                 this.updateInputStatus();
             }
             
@@ -177,13 +380,19 @@
                 source = source || 'unknown';
                 console.log('Pad ' + padNumber + ' triggered from ' + source + ' - Velocity: ' + velocity);
                 
-                // Play sample
-                this.embryoPlayer.playPad(padNumber);
+                // Play sample at the hit's velocity
+                this.embryoPlayer.playPad(padNumber, 0, { velocity: velocity });
                 
                 // Unified visual feedback
                 this.showPadFeedback(padNumber);
             }
             
+            // Unified method to release a pad (key up, note-off, pointer up); only gate pads react
+            releasePad(padNumber, source) {
+                console.log('Pad ' + padNumber + ' released from ' + (source || 'unknown'));
+                this.embryoPlayer.releasePad(padNumber);
+            }
+            
             // Feedback visual para pads
             showPadFeedback(padNumber) {
                 const padElement = document.querySelector('.pad[data-number="' + padNumber + '"]');
@@ -228,10 +437,19 @@
                 document.addEventListener('keyup', function(e) {
                     const key = e.key.toLowerCase();
                     self.pressedKeys.delete(key);
+                    
+                    if (self.keyToPad[key]) {
+                        self.releasePad(self.keyToPad[key], 'keyboard');
+                    }
                 });
                 
-                // Clear pressed keys when window loses focus
+                // Clear pressed keys (and release their pads) when window loses focus
                 window.addEventListener('blur', function() {
+                    self.pressedKeys.forEach(function(key) {
+                        if (self.keyToPad[key]) {
+                            self.releasePad(self.keyToPad[key], 'keyboard');
+                        }
+                    });
                     self.pressedKeys.clear();
                 });
                 
@@ -249,21 +467,128 @@
                 this.updateInputStatus();
             }
             
-            // Update input methods indicator
+            // Update input methods indicator (with one entry per connected MIDI input)
             updateInputStatus() {
                 const statusDiv = document.getElementById('input-status');
                 const methods = [];
+                const inputs = this.getMidiInputs();
                 
                 methods.push('[MOUSE] Mouse/Touch');
                 methods.push('[KEY] Keyboard');
                 
-                if (this.midiAvailable) {
-                    methods.push('[MIDI] MIDI (connected)');
-                } else {
+                if (!this.midiAvailable) {
                     methods.push('[MIDI] MIDI (disconnected)');
+                } else if (inputs.length === 0) {
+                    methods.push('[MIDI] MIDI (no devices)');
+                } else {
+                    methods.push('[MIDI] MIDI:');
                 }
                 
                 statusDiv.innerHTML = 'Active methods: ' + methods.join(' • ');
+                
+                if (!this.midiAvailable) return;
+                
+                // Device name toggles the input, the channel button cycles OMNI → CH 1-16
+                inputs.forEach(input => {
+                    const settings = this.getMidiInputSettings(input);
+                    const device = document.createElement('span');
+                    device.className = 'midi-device' + (settings.enabled ? '' : ' disabled');
+                    device.dataset.input = input.id;
+                    
+                    const toggle = document.createElement('button');
+                    toggle.className = 'midi-device-toggle';
+                    toggle.textContent = input.name || input.id;
+                    toggle.title = settings.enabled ? 'Click to ignore this device' : 'Click to enable this device';
+                    
+                    const channel = document.createElement('button');
+                    channel.className = 'midi-device-channel';
+                    channel.textContent = settings.channel ? 'CH ' + settings.channel : 'OMNI';
+                    channel.title = 'MIDI channel filter';
+                    
+                    device.appendChild(toggle);
+                    device.appendChild(channel);
+                    statusDiv.appendChild(device);
+                });
+            }
+            
+            // Connected MIDI inputs
+            getMidiInputs() {
+                const inputs = [];
+                const midiAccess = this.embryoPlayer.midiAccess;
+                if (midiAccess) {
+                    midiAccess.inputs.forEach(function(input) {
+                        if (input.state !== 'disconnected') inputs.push(input);
+                    });
+                }
+                return inputs;
+            }
+            
+            // Restore per-device MIDI input settings from localStorage
+            loadMidiInputSettings() {
+                try {
+                    const saved = localStorage.getItem('embryoPlayerMidiInputs');
+                    if (saved) {
+                        this.midiInputSettings = JSON.parse(saved) || {};
+                    }
+                } catch (e) {
+                    console.error('Error loading MIDI input settings:', e);
+                }
+            }
+            
+            saveMidiInputSettings() {
+                try {
+                    localStorage.setItem('embryoPlayerMidiInputs', JSON.stringify(this.midiInputSettings));
+                } catch (e) {
+                    console.error('Error saving MIDI input settings:', e);
+                }
+            }
+            
+            // Settings of a MIDI input (new devices are enabled in OMNI)
+            getMidiInputSettings(input) {
+                const saved = this.midiInputSettings[input.name || input.id] || {};
+                return {
+                    enabled: saved.enabled !== false,
+                    channel: Number.isInteger(saved.channel) && saved.channel >= 0 && saved.channel <= 16 ? saved.channel : 0
+                };
+            }
+            
+            // Whether a message from this input passes its enable switch and channel filter.
+            // Note-offs always pass, so pads held when a device is disabled or refiltered still release
+            acceptsMidi(input, data) {
+                const status = data[0];
+                const isNoteOff = (status & 0xF0) === 0x80 || ((status & 0xF0) === 0x90 && data[2] === 0);
+                if (isNoteOff) return true;
+                
+                const settings = this.getMidiInputSettings(input);
+                if (!settings.enabled) return false;
+                
+                // System messages (clock, transport) have no channel
+                return status >= 0xF0 || settings.channel === 0 || (status & 0x0F) + 1 === settings.channel;
+            }
+            
+            // Clicks on the device entries of the input status bar
+            setupMidiInputControls() {
+                const self = this;
+                
+                document.getElementById('input-status').addEventListener('click', function(e) {
+                    const device = e.target.closest('.midi-device');
+                    const midiAccess = self.embryoPlayer.midiAccess;
+                    const input = device && midiAccess && midiAccess.inputs.get(device.dataset.input);
+                    if (!input) return;
+                    
+                    const settings = self.getMidiInputSettings(input);
+                    if (e.target.closest('.midi-device-channel')) {
+                        settings.channel = (settings.channel + 1) % 17;
+                    } else {
+                        settings.enabled = !settings.enabled;
+                    }
+                    self.midiInputSettings[input.name || input.id] = settings;
+                    self.saveMidiInputSettings();
+                    self.updateInputStatus();
+                    
+                    self.embryoPlayer.logToTerminal('MIDI in ' + (input.name || input.id) + ': ' +
+                        (settings.enabled ? (settings.channel ? 'channel ' + settings.channel : 'OMNI') : 'ignored'), 'info');
+                });
             }
             
             // Obtener tecla para un pad específico
@@ -419,9 +744,9 @@
                 button.classList.remove('long-pressing');
             }
             
-            // Change BPM
-            changeBPM(direction) {
-                this.embryoPlayer.changeTempo(direction);
+            // Change BPM (options.live keeps playback running, for knobs and external clock)
+            changeBPM(direction, options) {
+                this.embryoPlayer.changeTempo(direction, options);
             }
             
             // Handle tap tempo
@@ -461,10 +786,11 @@
                         const oldBPM = this.embryoPlayer.bpm;
                         this.embryoPlayer.bpm = clampedBPM;
                         this.embryoPlayer.updateTempoDisplay();
+                        this.embryoPlayer.updateDelayTime();
                         this.embryoPlayer.logToTerminal(`Tap tempo: ${clampedBPM} BPM`, 'info');
                         
                         // NEW: Recalculate sequence timing if we have a recorded sequence
-                        if (this.embryoPlayer.hasRecordedSequence()) {
+                        if (this.embryoPlayer.hasAnyPatternData()) {
                             this.embryoPlayer.recalculateSequenceTiming(oldBPM, clampedBPM);
                         }
                     }
@@ -482,9 +808,2143 @@
                     }
                 }, 3000);
             }
-        }
+        }
+
+        /**
+         * Kit Storage Class - IndexedDB Sample Persistence
+         *
+         * @class KitStorage
+         * @description Persists the audio data of all four banks (buffers, slice offsets/durations
+         * and editor trims) in IndexedDB so kits survive page reloads
+         *
+         * @property {EmbrioPlayer} embryoPlayer - Reference to main player instance
+         * @property {IDBDatabase} db - Open database connection (null when closed or evicted)
+         * @property {boolean} ready - True once the stored kit has been restored (saves are ignored before)
+         * @property {WeakMap} bufferIds - AudioBuffer → stored buffer id (slices share one record)
+         * @property {Set} storedBufferIds - Buffer ids already written to the database
+         * @property {boolean} persistent - Whether the browser granted persistent storage
+         *
+         * @example
+         * const kitStorage = new KitStorage(embryoPlayer);
+         * const kit = await kitStorage.restoreKit(audioContext);
+         * kitStorage.scheduleSave();
+         */
+        class KitStorage {
+            constructor(embryoPlayer) {
+                this.embryoPlayer = embryoPlayer;
+                this.db = null;
+                this.ready = false;
+                this.bufferIds = new WeakMap();
+                this.storedBufferIds = new Set();
+                this.nextBufferId = 1;
+                this.saveTimer = null;
+                this.persistent = false;
+            }
+
+            // Check IndexedDB availability
+            isSupported() {
+                return typeof window.indexedDB !== 'undefined';
+            }
+
+            // Open (or create) the kit database
+            open() {
+                if (this.db) return Promise.resolve(this.db);
+
+                const self = this;
+                return new Promise(function(resolve, reject) {
+                    const request = window.indexedDB.open(KIT_DB_NAME, KIT_DB_VERSION);
+
+                    request.onupgradeneeded = function() {
+                        const db = request.result;
+                        if (!db.objectStoreNames.contains('buffers')) {
+                            db.createObjectStore('buffers', { keyPath: 'id' });
+                        }
+                        if (!db.objectStoreNames.contains('pads')) {
+                            db.createObjectStore('pads', { keyPath: 'key' });
+                        }
+                    };
+
+                    request.onsuccess = function() {
+                        self.db = request.result;
+
+                        // Another tab upgraded the schema: release our connection
+                        self.db.onversionchange = function() {
+                            self.db.close();
+                            self.handleConnectionLost('Kit storage upgraded in another tab');
+                        };
+
+                        // Browser closed the connection (storage cleared or evicted)
+                        self.db.onclose = function() {
+                            self.handleConnectionLost('Kit storage was closed by the browser');
+                        };
+
+                        resolve(self.db);
+                    };
+
+                    request.onerror = function() {
+                        reject(request.error);
+                    };
+
+                    request.onblocked = function() {
+                        reject(new Error('Kit storage is blocked by another open tab'));
+                    };
+                });
+            }
+
+            // Forget cached state so the next save rewrites the whole kit
+            handleConnectionLost(reason) {
+                this.db = null;
+                this.storedBufferIds.clear();
+                console.warn('[STORAGE] ' + reason);
+                this.embryoPlayer.logToTerminal(reason + '. Kit will be written again on next change.', 'warning');
+            }
+
+            // Wrap an IDBTransaction in a promise
+            transactionDone(transaction) {
+                return new Promise(function(resolve, reject) {
+                    transaction.oncomplete = function() { resolve(); };
+                    transaction.onerror = function() { reject(transaction.error); };
+                    transaction.onabort = function() { reject(transaction.error || new Error('Transaction aborted')); };
+                });
+            }
+
+            // Wrap an IDBRequest in a promise
+            requestDone(request) {
+                return new Promise(function(resolve, reject) {
+                    request.onsuccess = function() { resolve(request.result); };
+                    request.onerror = function() { reject(request.error); };
+                });
+            }
+
+            // Get (or assign) the storage id of an AudioBuffer
+            getBufferId(buffer) {
+                let id = this.bufferIds.get(buffer);
+                if (!id) {
+                    id = 'buf-' + Date.now().toString(36) + '-' + (this.nextBufferId++);
+                    this.bufferIds.set(buffer, id);
+                }
+                return id;
+            }
+
+            // Request persistent storage so the browser does not evict the kit under pressure
+            async requestPersistence() {
+                if (!navigator.storage || !navigator.storage.persist) return false;
+
+                try {
+                    this.persistent = await navigator.storage.persisted() || await navigator.storage.persist();
+                } catch (e) {
+                    console.warn('[STORAGE] Persistence request failed:', e);
+                    this.persistent = false;
+                }
+                return this.persistent;
+            }
+
+            // Get storage usage and quota in bytes
+            async getQuota() {
+                if (!navigator.storage || !navigator.storage.estimate) return null;
+
+                try {
+                    const estimate = await navigator.storage.estimate();
+                    return { usage: estimate.usage || 0, quota: estimate.quota || 0 };
+                } catch (e) {
+                    console.warn('[STORAGE] Quota estimate failed:', e);
+                    return null;
+                }
+            }
+
+            // Debounced save so bursts of pad changes produce a single write
+            scheduleSave() {
+                if (!this.ready || !this.isSupported()) return;
+
+                if (this.saveTimer) {
+                    clearTimeout(this.saveTimer);
+                }
+
+                const self = this;
+                this.saveTimer = setTimeout(function() {
+                    self.saveTimer = null;
+                    self.saveKit();
+                }, KIT_SAVE_DELAY);
+            }
+
+            /**
+             * Collect pad records and the AudioBuffers they reference
+             * @param {Object} bankSamples - Samples organized by bank (A, B, C, D)
+             * @param {Object} sampleNames - Sample names organized by bank
+             * @param {Object} padSettings - Per-pad settings organized by bank (optional)
+             * @returns {Object} { padRecords, buffers } where buffers maps buffer id → AudioBuffer
+             */
+            collectKitRecords(bankSamples, sampleNames, padSettings) {
+                const padRecords = [];
+                const buffers = new Map();
+
+                ['A', 'B', 'C', 'D'].forEach(bank => {
+                    const samplesInBank = bankSamples[bank] || {};
+                    for (const padNumber in samplesInBank) {
+                        const sample = samplesInBank[padNumber];
+                        const buffer = sample && sample.buffer ? sample.buffer : sample;
+                        if (!buffer || typeof buffer.getChannelData !== 'function') continue;
+
+                        const bufferId = this.getBufferId(buffer);
+                        buffers.set(bufferId, buffer);
+
+                        const record = {
+                            key: bank + '-' + padNumber,
+                            bank: bank,
+                            pad: parseInt(padNumber, 10),
+                            name: (sampleNames[bank] && sampleNames[bank][padNumber]) || null,
+                            bufferId: bufferId
+                        };
+
+                        // Slice metadata (non-destructive slices) and sample metadata (microphone, trims)
+                        if (sample.buffer) {
+                            ['offset', 'duration', 'startFrame', 'endFrame', 'source'].forEach(function(field) {
+                                if (sample[field] !== undefined) record[field] = sample[field];
+                            });
+                            record.isObject = true;
+                        }
+
+                        // Voice mode, voice limit and choke group travel with the pad
+                        if (padSettings && padSettings[bank] && padSettings[bank][padNumber]) {
+                            record.settings = Object.assign({}, padSettings[bank][padNumber]);
+                        }
+
+                        padRecords.push(record);
+                    }
+                });
+
+                return { padRecords, buffers };
+            }
+
+            /**
+             * Rebuild an AudioBuffer from its stored channel data
+             * @param {BaseAudioContext} audioContext - Context used to create the buffer
+             * @param {Object} record - { numberOfChannels, length, sampleRate, channels }
+             * @returns {AudioBuffer} Rebuilt buffer
+             */
+            createBufferFromRecord(audioContext, record) {
+                const buffer = audioContext.createBuffer(record.numberOfChannels, record.length, record.sampleRate);
+                for (let c = 0; c < record.numberOfChannels; c++) {
+                    buffer.copyToChannel(record.channels[c], c);
+                }
+                return buffer;
+            }
+
+            /**
+             * Turn pad records back into bank samples
+             * @param {Array} padRecords - Records produced by collectKitRecords()
+             * @param {Object} buffers - Buffer id → AudioBuffer
+             * @returns {Object} { bankSamples, sampleNames, padSettings, padCount, missingCount }
+             */
+            buildKitFromRecords(padRecords, buffers) {
+                const bankSamples = { 'A': {}, 'B': {}, 'C': {}, 'D': {} };
+                const sampleNames = { 'A': {}, 'B': {}, 'C': {}, 'D': {} };
+                const padSettings = { 'A': {}, 'B': {}, 'C': {}, 'D': {} };
+                let padCount = 0;
+                let missingCount = 0;
+
+                padRecords.forEach(function(record) {
+                    const buffer = buffers[record.bufferId];
+                    if (!buffer || !bankSamples[record.bank]) {
+                        missingCount++;
+                        return;
+                    }
+
+                    let sample = buffer;
+                    if (record.isObject) {
+                        sample = { buffer: buffer };
+                        ['offset', 'duration', 'startFrame', 'endFrame', 'source'].forEach(function(field) {
+                            if (record[field] !== undefined) sample[field] = record[field];
+                        });
+                        if (sample.duration === undefined) sample.duration = buffer.duration;
+                        if (record.name) sample.name = record.name;
+                    }
+
+                    bankSamples[record.bank][record.pad] = sample;
+                    if (record.name) sampleNames[record.bank][record.pad] = record.name;
+                    if (record.settings) padSettings[record.bank][record.pad] = record.settings;
+                    padCount++;
+                });
+
+                return { bankSamples, sampleNames, padSettings, padCount, missingCount };
+            }
+
+            /**
+             * Write all four banks to IndexedDB
+             * @returns {Promise<boolean>} True if the kit was written
+             */
+            async saveKit() {
+                const player = this.embryoPlayer;
+                const kit = this.collectKitRecords(player.bankSamples, player.sampleNames, player.padSettings);
+                const padRecords = kit.padRecords;
+                const referencedIds = new Set(kit.buffers.keys());
+                const buffersToWrite = new Map();
+
+                kit.buffers.forEach((buffer, id) => {
+                    if (!this.storedBufferIds.has(id)) buffersToWrite.set(id, buffer);
+                });
+
+                try {
+                    const db = await this.open();
+                    const transaction = db.transaction(['buffers', 'pads'], 'readwrite');
+                    const bufferStore = transaction.objectStore('buffers');
+                    const padStore = transaction.objectStore('pads');
+
+                    padStore.clear();
+                    padRecords.forEach(function(record) { padStore.put(record); });
+
+                    buffersToWrite.forEach(function(buffer, id) {
+                        const channels = [];
+                        for (let c = 0; c < buffer.numberOfChannels; c++) {
+                            channels.push(buffer.getChannelData(c));
+                        }
+                        bufferStore.put({
+                            id: id,
+                            sampleRate: buffer.sampleRate,
+                            length: buffer.length,
+                            numberOfChannels: buffer.numberOfChannels,
+                            channels: channels
+                        });
+                    });
+
+                    // Drop buffers no longer referenced by any pad (deleted or trimmed samples)
+                    this.storedBufferIds.forEach(function(id) {
+                        if (!referencedIds.has(id)) bufferStore.delete(id);
+                    });
+
+                    await this.transactionDone(transaction);
+
+                    this.storedBufferIds = referencedIds;
+                    console.log(`[STORAGE] Kit saved: ${padRecords.length} pads, ${buffersToWrite.size} new buffers`);
+                    player.updateStorageStatus();
+                    return true;
+                } catch (error) {
+                    if (error && error.name === 'QuotaExceededError') {
+                        player.logToTerminal('Kit storage full: latest samples were not saved. Delete unused samples to free space.', 'error');
+                    } else {
+                        console.error('[STORAGE] Error saving kit:', error);
+                        player.logToTerminal('Error saving kit: ' + (error ? error.message : 'unknown error'), 'error');
+                    }
+
+                    // Our view of the stored buffers is no longer reliable
+                    this.storedBufferIds.clear();
+                    player.updateStorageStatus();
+                    return false;
+                }
+            }
+
+            /**
+             * Read the stored kit and rebuild AudioBuffers in the given context
+             * @param {BaseAudioContext} audioContext - Context used to create the buffers
+             * @returns {Promise<Object|null>} { bankSamples, sampleNames, padSettings, padCount, missingCount } or null if nothing is stored
+             */
+            async restoreKit(audioContext) {
+                try {
+                    const db = await this.open();
+                    const transaction = db.transaction(['buffers', 'pads'], 'readonly');
+                    const bufferRecords = await this.requestDone(transaction.objectStore('buffers').getAll());
+                    const padRecords = await this.requestDone(transaction.objectStore('pads').getAll());
+
+                    if (padRecords.length === 0) return null;
+
+                    const buffers = {};
+                    bufferRecords.forEach(record => {
+                        const buffer = this.createBufferFromRecord(audioContext, record);
+                        buffers[record.id] = buffer;
+                        this.bufferIds.set(buffer, record.id);
+                        this.storedBufferIds.add(record.id);
+                    });
+
+                    return this.buildKitFromRecords(padRecords, buffers);
+                } catch (error) {
+                    console.error('[STORAGE] Error restoring kit:', error);
+                    this.embryoPlayer.logToTerminal('Error restoring stored kit: ' + (error ? error.message : 'unknown error'), 'error');
+                    return null;
+                } finally {
+                    this.ready = true;
+                }
+            }
+        }
+
+        /**
+         * Project File Class - .embryo Session Bundles
+         *
+         * @class ProjectFile
+         * @description Exports and imports a single project file bundling the four banks' audio,
+         * slice metadata, the recorded sequence, tempo, quantization and master effect values
+         *
+         * File layout: 8-byte magic "EMBRYOPJ", uint32 format version, uint32 header length,
+         * UTF-8 JSON header, zero padding to 4 bytes, then raw Float32 channel data per buffer.
+         *
+         * @property {EmbrioPlayer} embryoPlayer - Reference to main player instance
+         * @property {Object} pendingProject - Decoded project waiting for replace/merge choice
+         *
+         * @example
+         * const projectFile = new ProjectFile(embryoPlayer);
+         * projectFile.exportProject();
+         * projectFile.importFromFile(file);
+         */
+        class ProjectFile {
+            constructor(embryoPlayer) {
+                this.embryoPlayer = embryoPlayer;
+                this.pendingProject = null;
+            }
+
+            /**
+             * Build the project header (everything except raw audio data)
+             * @returns {Object} { header, buffers } where buffers maps buffer id → AudioBuffer
+             */
+            serializeSession() {
+                const player = this.embryoPlayer;
+                const kit = player.kitStorage.collectKitRecords(player.bankSamples, player.sampleNames, player.padSettings);
+
+                const header = {
+                    format: PROJECT_FORMAT,
+                    version: PROJECT_VERSION,
+                    createdAt: new Date().toISOString(),
+                    bpm: player.bpm,
+                    quantizeStrength: player.quantizeStrength,
+                    effectsValues: Object.assign({}, player.effectsValues),
+                    velocitySettings: Object.assign({}, player.velocitySettings),
+                    patterns: JSON.parse(JSON.stringify(player.patterns)),
+                    currentPattern: player.currentPatternIndex,
+                    song: JSON.parse(JSON.stringify(player.song)),
+                    songMode: player.songMode,
+                    pads: kit.padRecords,
+                    buffers: []
+                };
+
+                return { header, buffers: kit.buffers };
+            }
+
+            /**
+             * Encode the current session as an .embryo file
+             * @returns {Blob} Project file contents
+             */
+            encode() {
+                const session = this.serializeSession();
+                const header = session.header;
+
+                // Lay out channel data after the header
+                let dataLength = 0;
+                session.buffers.forEach(function(buffer, id) {
+                    header.buffers.push({
+                        id: id,
+                        sampleRate: buffer.sampleRate,
+                        length: buffer.length,
+                        numberOfChannels: buffer.numberOfChannels,
+                        dataOffset: dataLength
+                    });
+                    dataLength += buffer.length * buffer.numberOfChannels * 4;
+                });
+
+                const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+                const headerPadded = Math.ceil(headerBytes.length / 4) * 4;
+                const dataStart = 16 + headerPadded;
+                const bytes = new ArrayBuffer(dataStart + dataLength);
+                const view = new DataView(bytes);
+
+                new Uint8Array(bytes, 0, 8).set(new TextEncoder().encode(PROJECT_MAGIC));
+                view.setUint32(8, PROJECT_VERSION, true);
+                view.setUint32(12, headerBytes.length, true);
+                new Uint8Array(bytes, 16, headerBytes.length).set(headerBytes);
+
+                header.buffers.forEach(function(info) {
+                    const buffer = session.buffers.get(info.id);
+                    for (let c = 0; c < info.numberOfChannels; c++) {
+                        const target = new Float32Array(bytes, dataStart + info.dataOffset + c * info.length * 4, info.length);
+                        target.set(buffer.getChannelData(c));
+                    }
+                });
+
+                return new Blob([bytes], { type: 'application/octet-stream' });
+            }
+
+            /**
+             * Decode an .embryo file
+             * @param {ArrayBuffer} bytes - File contents
+             * @param {BaseAudioContext} audioContext - Context used to rebuild AudioBuffers
+             * @returns {Object} { header, buffers } where buffers maps buffer id → AudioBuffer
+             * @throws {Error} If the file is not a valid Embryo project
+             */
+            decode(bytes, audioContext) {
+                if (bytes.byteLength < 16) {
+                    throw new Error('File too small to be an Embryo project');
+                }
+
+                const magic = new TextDecoder().decode(new Uint8Array(bytes, 0, 8));
+                if (magic !== PROJECT_MAGIC) {
+                    throw new Error('Not an Embryo project file');
+                }
+
+                const view = new DataView(bytes);
+                const version = view.getUint32(8, true);
+                if (version > PROJECT_VERSION) {
+                    throw new Error('Project was saved by a newer version (format ' + version + ')');
+                }
+
+                const headerLength = view.getUint32(12, true);
+                const header = JSON.parse(new TextDecoder().decode(new Uint8Array(bytes, 16, headerLength)));
+                if (header.format !== PROJECT_FORMAT) {
+                    throw new Error('Unknown project format');
+                }
+
+                const dataStart = 16 + Math.ceil(headerLength / 4) * 4;
+                const kitStorage = this.embryoPlayer.kitStorage;
+                const buffers = {};
+
+                (header.buffers || []).forEach(function(info) {
+                    const channels = [];
+                    for (let c = 0; c < info.numberOfChannels; c++) {
+                        const start = dataStart + info.dataOffset + c * info.length * 4;
+                        if (start + info.length * 4 > bytes.byteLength) {
+                            throw new Error('Project file is truncated');
+                        }
+                        // Copy so channel data is aligned and detached from the file buffer
+                        channels.push(new Float32Array(bytes.slice(start, start + info.length * 4)));
+                    }
+                    buffers[info.id] = kitStorage.createBufferFromRecord(audioContext, {
+                        numberOfChannels: info.numberOfChannels,
+                        length: info.length,
+                        sampleRate: info.sampleRate,
+                        channels: channels
+                    });
+                });
+
+                return { header, buffers };
+            }
+
+            // Download the current session as an .embryo file
+            exportProject() {
+                const player = this.embryoPlayer;
+
+                try {
+                    const blob = this.encode();
+                    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+                    player.downloadBlob(blob, 'embryo-project-' + stamp + '.embryo');
+                    player.logToTerminal('Project saved (' + (blob.size / (1024 * 1024)).toFixed(1) + ' MB)', 'info');
+                } catch (error) {
+                    console.error('Error exporting project:', error);
+                    player.logToTerminal('Error saving project: ' + error.message, 'error');
+                }
+            }
+
+            // Open a file dialog and import the chosen project
+            openFileDialog() {
+                const player = this.embryoPlayer;
+                if (!player.audioContext) {
+                    player.logToTerminal('Please start audio before loading a project.', 'warning');
+                    return;
+                }
+
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = '.embryo';
+
+                const self = this;
+                input.onchange = function(e) {
+                    const file = e.target.files[0];
+                    if (file) self.importFromFile(file);
+                };
+
+                input.click();
+            }
+
+            /**
+             * Read and decode a project file, then ask whether to replace or merge
+             * @param {File} file - The .embryo file
+             */
+            async importFromFile(file) {
+                const player = this.embryoPlayer;
+
+                try {
+                    player.logToTerminal('Reading project "' + file.name + '"...', 'info');
+                    const bytes = await file.arrayBuffer();
+                    this.pendingProject = this.decode(bytes, player.audioContext);
+                    this.openImportModal(file.name);
+                } catch (error) {
+                    console.error('Error importing project:', error);
+                    this.pendingProject = null;
+                    player.logToTerminal('Error loading project: ' + error.message, 'error');
+                }
+            }
+
+            // Show the replace/merge choice for the pending project
+            openImportModal(fileName) {
+                const header = this.pendingProject.header;
+                const info = 'Load "' + fileName + '"' +
+                    '\n' + header.pads.length + ' pads, ' + header.bpm + ' BPM' +
+                    '\nReplace the session or merge into it?';
+
+                document.getElementById('project-info').textContent = info;
+                document.getElementById('project-modal').style.display = 'flex';
+            }
+
+            // Close the replace/merge modal and drop the pending project
+            closeImportModal() {
+                document.getElementById('project-modal').style.display = 'none';
+                this.pendingProject = null;
+            }
+
+            /**
+             * Apply the pending project to the session
+             * @param {string} mode - 'replace' or 'merge'
+             */
+            applyPendingProject(mode) {
+                const project = this.pendingProject;
+                this.closeImportModal();
+                if (!project) return;
+
+                const player = this.embryoPlayer;
+                if (player.isPlaying || player.isRecording) {
+                    player.stopSequence();
+                }
+
+                if (mode === 'merge') {
+                    this.mergeProject(project);
+                } else {
+                    this.replaceProject(project);
+                }
+
+                // Keep the per-bank playback map in sync without JSON (preserves AudioBuffer)
+                player.samples = {};
+                for (const bank in player.bankSamples) {
+                    player.samples[bank] = {};
+                    for (const padNumber in player.bankSamples[bank]) {
+                        player.samples[bank][padNumber] = player.bankSamples[bank][padNumber];
+                    }
+                }
+
+                player.updatePadBankIndicators();
+                player.saveSampleInfo();
+            }
+
+            // Replace samples, sequence, tempo and effects with the project contents
+            replaceProject(project) {
+                const player = this.embryoPlayer;
+                const header = project.header;
+                const kit = player.kitStorage.buildKitFromRecords(header.pads, project.buffers);
+
+                player.bankSamples = kit.bankSamples;
+                player.sampleNames = kit.sampleNames;
+                player.padSettings = kit.padSettings;
+
+                const incoming = this.getProjectPatterns(header);
+                player.patterns = [];
+                for (let i = 0; i < PATTERN_COUNT; i++) {
+                    player.patterns.push(this.normalizePattern(incoming[i], 1));
+                }
+
+                player.song = (Array.isArray(header.song) ? header.song : []).filter(function(step) {
+                    return step && step.pattern >= 0 && step.pattern < PATTERN_COUNT;
+                }).map(function(step) {
+                    return { pattern: step.pattern, repeats: Math.max(1, Math.min(MAX_SONG_REPEATS, step.repeats || 1)) };
+                });
+                player.songMode = !!header.songMode;
+                player.songPosition = null;
+                player.queuedPatternIndex = null;
+
+                const currentPattern = header.currentPattern;
+                player.activatePattern(currentPattern >= 0 && currentPattern < PATTERN_COUNT ? currentPattern : 0);
+                player.renderSongSteps();
+
+                if (typeof header.bpm === 'number') {
+                    player.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, header.bpm));
+                    player.updateTempoDisplay();
+                    player.updateDelayTime();
+                }
+
+                if (typeof header.quantizeStrength === 'number') {
+                    player.quantizeStrength = header.quantizeStrength;
+                    player.quantizeMode = header.quantizeStrength > 0.0;
+                    player.initializeQTButton();
+                }
+
+                if (header.velocitySettings) {
+                    if (VELOCITY_CURVES.indexOf(header.velocitySettings.curve) !== -1) {
+                        player.velocitySettings.curve = header.velocitySettings.curve;
+                    }
+                    player.velocitySettings.brightness = !!header.velocitySettings.brightness;
+                    player.saveVelocitySettings();
+                    player.updateVelocityButton();
+                }
+
+                if (header.effectsValues) {
+                    Object.assign(player.effectsValues, header.effectsValues);
+                    if (DISTORTION_MODELS.indexOf(player.effectsValues.distortionModel) === -1) {
+                        player.effectsValues.distortionModel = 'tube';
+                    }
+                    if (DISTORTION_OVERSAMPLING.indexOf(player.effectsValues.distortionOversample) === -1) {
+                        player.effectsValues.distortionOversample = '2x';
+                    }
+                    player.syncEffectSliders();
+                    if (player.audioContext) player.applyInitialEffectsValues();
+                }
+
+                player.logToTerminal('Project loaded (replace): ' + kit.padCount + ' pads, ' + player.bpm + ' BPM', 'info');
+            }
+
+            // Merge project samples into empty pads and append its events and automation to the patterns
+            mergeProject(project) {
+                const player = this.embryoPlayer;
+                const header = project.header;
+                const kit = player.kitStorage.buildKitFromRecords(header.pads, project.buffers);
+                const padMap = { 'A': {}, 'B': {}, 'C': {}, 'D': {} };
+                let merged = 0;
+                let dropped = 0;
+
+                ['A', 'B', 'C', 'D'].forEach(function(bank) {
+                    const target = player.bankSamples[bank];
+                    for (const padNumber in kit.bankSamples[bank]) {
+                        let targetPad = parseInt(padNumber, 10);
+
+                        // Keep the pad number when free, otherwise use the first empty pad in the bank
+                        if (target[targetPad]) {
+                            targetPad = null;
+                            for (let i = 1; i <= 16; i++) {
+                                if (!target[i]) {
+                                    targetPad = i;
+                                    break;
+                                }
+                            }
+                        }
+
+                        if (targetPad === null) {
+                            padMap[bank][padNumber] = null;
+                            dropped++;
+                            continue;
+                        }
+
+                        target[targetPad] = kit.bankSamples[bank][padNumber];
+                        if (kit.sampleNames[bank][padNumber]) {
+                            player.sampleNames[bank][targetPad] = kit.sampleNames[bank][padNumber];
+                        }
+                        if (kit.padSettings[bank][padNumber]) {
+                            player.padSettings[bank][targetPad] = kit.padSettings[bank][padNumber];
+                        }
+                        padMap[bank][padNumber] = targetPad;
+                        merged++;
+                    }
+                });
+
+                // Events follow their pads and are rescaled to the current tempo; pattern N merges into pattern N
+                const bpmRatio = typeof header.bpm === 'number' ? header.bpm / player.bpm : 1;
+                const self = this;
+                let eventsMerged = 0;
+                let automationMerged = 0;
+                let automationSkipped = 0;
+
+                this.getProjectPatterns(header).forEach(function(data, patternIndex) {
+                    const target = player.patterns[patternIndex];
+                    if (!target || !data) return;
+
+                    const incoming = self.normalizeSequence(data.sequence, bpmRatio, target.bars);
+                    const barDuration = player.barDuration(target);
+
+                    incoming.forEach(function(bar, barIndex) {
+                        bar.forEach(function(event) {
+                            // Events past the end of the target pattern's bar are dropped
+                            if (event.time >= barDuration) return;
+                            const bank = event.bank || 'A';
+                            const mapped = padMap[bank] ? padMap[bank][event.pad] : undefined;
+                            if (mapped === null) return;
+                            if (mapped !== undefined) event.pad = mapped;
+                            target.sequence[barIndex].push(event);
+                            eventsMerged++;
+                        });
+                    });
+
+                    // Automation is rescaled the same way; a bar the target already automates keeps its own points
+                    const lanes = self.normalizeAutomation(data.automation, bpmRatio, target.bars);
+                    if (!target.automation) target.automation = {};
+                    Object.keys(lanes).forEach(function(sliderId) {
+                        const lane = target.automation[sliderId] || (target.automation[sliderId] = []);
+                        lanes[sliderId].forEach(function(points, barIndex) {
+                            const kept = points.filter(function(point) { return point.time < barDuration; });
+                            if (kept.length === 0) return;
+                            if (lane[barIndex] && lane[barIndex].length > 0) {
+                                automationSkipped++;
+                                return;
+                            }
+                            while (lane.length < barIndex) lane.push([]);
+                            lane[barIndex] = kept;
+                            automationMerged++;
+                        });
+                    });
+                });
+
+                player.logToTerminal('Project merged: ' + merged + ' pads, ' + eventsMerged + ' events added' +
+                    (automationMerged > 0 ? ', ' + automationMerged + ' automation bars added' : ''), 'info');
+                if (dropped > 0) {
+                    player.logToTerminal(dropped + ' pads skipped: no empty pads left in their bank', 'warning');
+                }
+                if (automationSkipped > 0) {
+                    player.logToTerminal(automationSkipped + ' automation bars skipped: those bars already have automation', 'warning');
+                }
+            }
+
+            /**
+             * Read the pattern list of a project header
+             * @param {Object} header - Project header
+             * @returns {Array<Object>} Stored patterns; single-sequence projects become pattern 1
+             */
+            getProjectPatterns(header) {
+                if (Array.isArray(header.patterns)) return header.patterns;
+                return [Object.assign({ sequence: header.sequence }, header.pattern)];
+            }
+
+            /**
+             * Build a valid pattern from stored pattern data
+             * @param {Object} data - Stored { bars, beatsPerBar, beatUnit, sequence, automation } (may be missing)
+             * @param {number} bpmRatio - Old BPM / new BPM factor applied to event times
+             * @returns {Object} Pattern object
+             */
+            normalizePattern(data, bpmRatio) {
+                const pattern = this.embryoPlayer.createPattern();
+                if (!data) return pattern;
+
+                if (typeof data.bars === 'number') {
+                    pattern.bars = Math.max(MIN_PATTERN_BARS, Math.min(MAX_PATTERN_BARS, Math.round(data.bars)));
+                }
+                if (TIME_SIGNATURES.indexOf(data.beatsPerBar + '/' + data.beatUnit) !== -1) {
+                    pattern.beatsPerBar = data.beatsPerBar;
+                    pattern.beatUnit = data.beatUnit;
+                }
+                pattern.sequence = this.normalizeSequence(data.sequence, bpmRatio, pattern.bars);
+                pattern.automation = this.normalizeAutomation(data.automation, bpmRatio, pattern.bars);
+
+                return pattern;
+            }
+
+            /**
+             * Copy stored automation lanes into the current bar layout
+             * @param {Object} automation - Slider id → bars of { time, value } points (may be missing)
+             * @param {number} bpmRatio - Old BPM / new BPM factor applied to point times
+             * @param {number} barCount - Number of bars in the target pattern
+             * @returns {Object} Automation lanes of known sliders
+             */
+            normalizeAutomation(automation, bpmRatio, barCount) {
+                const lanes = {};
+                if (!automation || typeof automation !== 'object') return lanes;
+
+                AUTOMATION_SLIDERS.forEach(function(sliderId) {
+                    if (!Array.isArray(automation[sliderId])) return;
+                    lanes[sliderId] = automation[sliderId].slice(0, barCount).map(function(bar) {
+                        if (!Array.isArray(bar)) return [];
+                        return bar.filter(function(point) {
+                            return point && typeof point.time === 'number' && typeof point.value === 'number';
+                        }).map(function(point) {
+                            return { time: point.time * bpmRatio, value: point.value };
+                        });
+                    });
+                });
+
+                return lanes;
+            }
+
+            /**
+             * Copy a stored sequence into the current bar layout
+             * @param {Array} sequence - Bars of event objects from the project header
+             * @param {number} bpmRatio - Old BPM / new BPM factor applied to event times
+             * @param {number} barCount - Number of bars in the target pattern
+             * @returns {Array} Bars of event objects
+             */
+            normalizeSequence(sequence, bpmRatio, barCount) {
+                const bars = Array(barCount).fill().map(function() { return []; });
+                if (!Array.isArray(sequence)) return bars;
+
+                sequence.forEach(function(bar, barIndex) {
+                    if (barIndex >= barCount || !Array.isArray(bar)) return;
+                    bar.forEach(function(event) {
+                        if (!event || typeof event.pad !== 'number' || typeof event.time !== 'number') return;
+                        const copy = Object.assign({}, event);
+                        copy.time = event.time * bpmRatio;
+                        if (event.originalTime !== undefined) {
+                            copy.originalTime = event.originalTime * bpmRatio;
+                        }
+                        bars[barIndex].push(copy);
+                    });
+                });
+
+                return bars;
+            }
+        }
+
+        /**
+         * MIDI Mapping Class - Controller Note Bindings
+         *
+         * @class MidiMapping
+         * @description Maps incoming MIDI notes to pads and control changes to controls. A note binding is
+         * { pad, note, channel } with channel 1-16 or 0 for any channel. Without note bindings (the Chromatic
+         * preset) notes fall back to `note % 16 + 1`. A CC binding is { target, mode }: the target is a slider
+         * (slider-1..4, EDIT-mode aware), 'bpm', an eq* value, a transport button (rec, dub, play, stop, clear),
+         * a bank (bank-A..D) or 'qt'; the mode is one of MIDI_CC_MODES. Absolute knobs use soft-takeover.
+         * Bindings come from named presets, MIDI learn (arm, then tap a pad and hit a controller pad, or touch a
+         * control and move a knob) or an imported JSON file, and are kept in localStorage because they describe
+         * the controller, not the project.
+         *
+         * @property {EmbrioPlayer} embryoPlayer - Reference to main player instance
+         * @property {string} presetId - Key of MIDI_NOTE_PRESETS, or 'custom' after learn/import
+         * @property {Array<Object>} noteBindings - { pad, note, channel } bindings
+         * @property {Object} ccBindings - CC number → { target, mode }
+         * @property {string} learnMode - MIDI_CC_MODES entry given to the next learned CC
+         * @property {boolean} learnArmed - Waiting for a pad tap or control touch
+         * @property {number|null} learnPad - Pad waiting for a controller note
+         * @property {string|null} learnTarget - Control waiting for a CC
+         *
+         * @example
+         * const midiMapping = new MidiMapping(embryoPlayer);
+         * midiMapping.applyPreset('mpd218');
+         * midiMapping.getPadForNote(36, 10); // → 13
+         */
+        class MidiMapping {
+            constructor(embryoPlayer) {
+                this.embryoPlayer = embryoPlayer;
+                this.presetId = 'chromatic';
+                this.noteBindings = [];
+                this.ccBindings = this.normalizeControls(DEFAULT_MIDI_CC_MAP);
+                this.learnMode = 'absolute';
+                this.learnArmed = false;
+                this.learnPad = null;
+                this.learnTarget = null;
+                this.ccLastValues = {};   // CC → last raw value (button edges, takeover crossing)
+                this.ccSentValues = {};   // CC → parameter value this CC last set (takeover)
+                this.load();
+                this.setupLearnCapture();
+            }
+
+            // Restore the bindings saved in localStorage
+            load() {
+                try {
+                    const saved = localStorage.getItem('embryoPlayerMidiNotes');
+                    if (saved) {
+                        const data = JSON.parse(saved);
+                        this.presetId = data.presetId || 'custom';
+                        this.noteBindings = this.normalizeBindings(data.bindings);
+                    }
+                } catch (e) {
+                    console.error('Error loading MIDI note bindings:', e);
+                }
+
+                try {
+                    const saved = localStorage.getItem('embryoPlayerMidiCC');
+                    if (saved) {
+                        this.ccBindings = this.normalizeControls(JSON.parse(saved));
+                    }
+                } catch (e) {
+                    console.error('Error loading MIDI CC bindings:', e);
+                }
+            }
+
+            // Persist the bindings to localStorage
+            save() {
+                try {
+                    localStorage.setItem('embryoPlayerMidiNotes', JSON.stringify({
+                        presetId: this.presetId,
+                        bindings: this.noteBindings
+                    }));
+                    localStorage.setItem('embryoPlayerMidiCC', JSON.stringify(this.ccBindings));
+                } catch (e) {
+                    console.error('Error saving MIDI bindings:', e);
+                }
+            }
+
+            /**
+             * Keep only well-formed bindings
+             * @param {Array} bindings - Stored or imported bindings
+             * @returns {Array<Object>} { pad, note, channel } bindings
+             */
+            normalizeBindings(bindings) {
+                if (!Array.isArray(bindings)) return [];
+
+                return bindings.filter(function(binding) {
+                    return binding &&
+                        Number.isInteger(binding.pad) && binding.pad >= 1 && binding.pad <= 16 &&
+                        Number.isInteger(binding.note) && binding.note >= 0 && binding.note <= 127 &&
+                        Number.isInteger(binding.channel) && binding.channel >= 0 && binding.channel <= 16;
+                }).map(function(binding) {
+                    return { pad: binding.pad, note: binding.note, channel: binding.channel };
+                });
+            }
+
+            /**
+             * Keep only well-formed CC bindings
+             * @param {Object} controls - CC number → { target, mode } (or a bare target string)
+             * @returns {Object} CC number → { target, mode }
+             */
+            normalizeControls(controls) {
+                const bindings = {};
+                if (!controls || typeof controls !== 'object') return bindings;
+
+                Object.keys(controls).forEach(function(cc) {
+                    const number = parseInt(cc, 10);
+                    const binding = typeof controls[cc] === 'string' ? { target: controls[cc] } : controls[cc];
+                    if (!(number >= 0 && number <= 127) || !binding || typeof binding.target !== 'string') return;
+                    bindings[number] = {
+                        target: binding.target,
+                        mode: MIDI_CC_MODES.indexOf(binding.mode) !== -1 ? binding.mode : 'absolute'
+                    };
+                });
+
+                return bindings;
+            }
+
+            /**
+             * Find the pad a note plays
+             * @param {number} note - MIDI note (0-127)
+             * @param {number} channel - MIDI channel (1-16)
+             * @returns {number|null} Pad number, or null when the note is not bound
+             */
+            getPadForNote(note, channel) {
+                if (this.noteBindings.length === 0) return note % 16 + 1;
+
+                const binding = this.noteBindings.find(function(candidate) {
+                    return candidate.note === note && (candidate.channel === 0 || candidate.channel === channel);
+                });
+                return binding ? binding.pad : null;
+            }
+
+            /**
+             * Load a named preset
+             * @param {string} presetId - Key of MIDI_NOTE_PRESETS
+             */
+            applyPreset(presetId) {
+                const preset = MIDI_NOTE_PRESETS[presetId];
+                if (!preset) return;
+
+                this.presetId = presetId;
+                this.noteBindings = preset.notes.map(function(note, index) {
+                    return { pad: index + 1, note: note, channel: preset.channel };
+                });
+                this.save();
+                this.embryoPlayer.logToTerminal('MIDI map: ' + preset.name, 'info');
+            }
+
+            // Arm or disarm MIDI learn (the MIDI button stays lit while armed)
+            setLearnArmed(armed) {
+                this.learnArmed = armed;
+                this.learnTarget = null;
+                this.setLearnPad(null);
+                document.getElementById('midi-map-button').classList.toggle('active', armed);
+                document.getElementById('eq-learn').classList.toggle('selected', armed);
+                this.embryoPlayer.logToTerminal(armed ?
+                    'MIDI learn: tap a pad and hit a controller pad, or touch a control and move a knob (MIDI ends learn)' :
+                    'MIDI learn off', 'info');
+            }
+
+            /**
+             * While learn is armed, touching a learnable control picks it instead of using it
+             * @description Capture listeners run before the controls' own handlers and swallow the touch
+             */
+            setupLearnCapture() {
+                const self = this;
+                const capture = function(e) {
+                    if (!self.learnArmed || !e.target.closest) return;
+
+                    const eqControl = e.target.closest('#eq-modal [data-effect]');
+                    const control = eqControl || e.target.closest('[id]');
+                    const target = eqControl ? eqControl.dataset.effect : (control && MIDI_CC_CONTROLS[control.id]);
+                    if (!target) return;
+
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (e.type !== 'click' && self.learnTarget !== target) {
+                        self.learnTarget = target;
+                        self.setLearnPad(null);
+                        self.embryoPlayer.logToTerminal('MIDI learn: move a knob or press a button for ' + target +
+                            ' (' + self.learnMode + ')', 'info');
+                    }
+                };
+
+                ['mousedown', 'touchstart', 'click'].forEach(function(type) {
+                    document.addEventListener(type, capture, { capture: true, passive: false });
+                });
+            }
+
+            /**
+             * Pick the pad the next controller note is bound to
+             * @param {number|null} padNumber - Pad to bind, or null to clear
+             */
+            setLearnPad(padNumber) {
+                document.querySelectorAll('.pad.midi-learn').forEach(function(pad) {
+                    pad.classList.remove('midi-learn');
+                });
+
+                this.learnPad = padNumber;
+                if (padNumber === null) return;
+                this.learnTarget = null;
+
+                const padElement = document.querySelector('.pad[data-number="' + padNumber + '"]');
+                if (padElement) padElement.classList.add('midi-learn');
+                this.embryoPlayer.logToTerminal('MIDI learn: hit a controller pad for Pad ' + padNumber, 'info');
+            }
+
+            /**
+             * Bind a controller note to the armed pad
+             * @param {number} note - MIDI note (0-127)
+             * @param {number} channel - MIDI channel (1-16)
+             * @description Replaces the pad's previous binding and any other pad's binding of the same note/channel.
+             * Learning from the Chromatic preset starts from an empty map, so unbound notes stop triggering pads.
+             */
+            completeLearn(note, channel) {
+                const pad = this.learnPad;
+                this.noteBindings = this.noteBindings.filter(function(binding) {
+                    return binding.pad !== pad && !(binding.note === note && binding.channel === channel);
+                });
+                this.noteBindings.push({ pad: pad, note: note, channel: channel });
+                this.presetId = 'custom';
+                this.save();
+
+                this.embryoPlayer.logToTerminal('MIDI learn: note ' + note + ' ch ' + channel + ' → Pad ' + pad, 'info');
+
+                // Stay armed so the next pad can be learned right away
+                this.setLearnPad(null);
+                this.embryoPlayer.updateMidiMapDisplay();
+            }
+
+            /**
+             * Handle an incoming MIDI control change
+             * @param {number} cc - Controller number (0-127)
+             * @param {number} value - Controller value (0-127)
+             * @description Completes a pending learn, otherwise drives the bound control: buttons fire when the
+             * value rises past 63, kills follow the value, ranges move absolutely (with soft-takeover) or relatively
+             */
+            handleControlChange(cc, value) {
+                if (this.learnTarget) {
+                    this.completeControlLearn(cc);
+                    return;
+                }
+
+                const binding = this.ccBindings[cc];
+                const lastValue = this.ccLastValues[cc];
+                this.ccLastValues[cc] = value;
+                if (!binding) return;
+
+                const control = this.getControl(binding.target);
+                if (!control) return;
+
+                if (control.button) {
+                    if (value >= 64 && !(lastValue >= 64)) control.button();
+                    return;
+                }
+                if (control.toggle) {
+                    control.toggle(value >= 64);
+                    return;
+                }
+
+                const current = control.get();
+                let next;
+                if (binding.mode === 'absolute') {
+                    const scale = raw => control.min + (control.max - control.min) * raw / 127;
+                    next = scale(value);
+
+                    // Soft-takeover: once the parameter moved elsewhere, wait until the knob reaches it
+                    if (this.ccSentValues[cc] !== current) {
+                        const near = Math.abs(next - current) <= (control.max - control.min) * MIDI_SOFT_TAKEOVER;
+                        const crossed = lastValue !== undefined && (scale(lastValue) - current) * (next - current) <= 0;
+                        if (!near && !crossed) return;
+                    }
+                } else {
+                    next = current + this.decodeRelative(value, binding.mode) * control.step;
+                }
+
+                next = Math.max(control.min, Math.min(control.max, Math.round(next / control.step) * control.step));
+                if (next !== current) control.set(next);
+                this.ccSentValues[cc] = control.get();
+            }
+
+            /**
+             * Decode a relative encoder value
+             * @param {number} value - Controller value (0-127)
+             * @param {string} mode - 'relative-2c' (1 = +1, 127 = -1), 'relative-64' (65 = +1, 63 = -1)
+             * or 'relative-sign' (1 = +1, 65 = -1)
+             * @returns {number} Steps to move
+             */
+            decodeRelative(value, mode) {
+                switch (mode) {
+                    case 'relative-2c':
+                        return value < 64 ? value : value - 128;
+                    case 'relative-64':
+                        return value - 64;
+                    case 'relative-sign':
+                        return value & 0x40 ? -(value & 0x3F) : value & 0x3F;
+                    default:
+                        return 0;
+                }
+            }
+
+            /**
+             * Describe a CC target
+             * @param {string} target - CC target name
+             * @returns {Object|null} { button } for actions, { toggle } for kills, or { min, max, step, get, set } for ranges
+             */
+            getControl(target) {
+                const player = this.embryoPlayer;
+
+                if (/^slider-[1-4]$/.test(target)) {
+                    return {
+                        min: 0, max: 100, step: 1,
+                        get: () => parseFloat(document.getElementById(target).value),
+                        set: value => player.setSliderValue(target, value)
+                    };
+                }
+                if (/^bank-[A-D]$/.test(target)) {
+                    return { button: () => player.selectBank(target.slice(-1)) };
+                }
+                if (EQ_RANGES[target]) {
+                    const range = EQ_RANGES[target];
+                    return {
+                        min: range[0], max: range[1], step: Math.max(1, Math.round((range[1] - range[0]) / 127)),
+                        get: () => player.effectsValues[target],
+                        set: value => player.applyEqValue(target, value)
+                    };
+                }
+                if (typeof player.effectsValues[target] === 'boolean') {
+                    return { toggle: killed => player.applyEqValue(target, killed) };
+                }
+
+                switch (target) {
+                    case 'bpm':
+                        return {
+                            min: MIN_BPM, max: MAX_BPM, step: 1,
+                            get: () => player.bpm,
+                            set: value => player.bpmController.changeBPM(value - player.bpm, { live: true })
+                        };
+                    case 'rec': return { button: () => player.toggleRecording() };
+                    case 'dub': return { button: () => player.toggleOverdub() };
+                    case 'play': return { button: () => player.playSequence() };
+                    case 'stop': return { button: () => player.stopAll() };
+                    case 'clear': return { button: () => player.clearSequence() };
+                    case 'qt': return { button: () => player.cycleQuantizeConsolidated() };
+                    default: return null;
+                }
+            }
+
+            /**
+             * Bind a CC to the control picked during learn
+             * @param {number} cc - Controller number (0-127)
+             * @description A control has one CC; the CC's previous binding is replaced
+             */
+            completeControlLearn(cc) {
+                const target = this.learnTarget;
+                Object.keys(this.ccBindings).forEach(assigned => {
+                    if (this.ccBindings[assigned].target === target) delete this.ccBindings[assigned];
+                });
+                this.ccBindings[cc] = { target: target, mode: this.learnMode };
+                delete this.ccSentValues[cc];
+                this.learnTarget = null;
+                this.save();
+
+                this.embryoPlayer.logToTerminal('MIDI learn: CC ' + cc + ' → ' + target + ' (' + this.learnMode + ')', 'info');
+                this.embryoPlayer.updateMidiMapDisplay();
+            }
+
+            // Download the bindings as JSON
+            exportMapping() {
+                const preset = MIDI_NOTE_PRESETS[this.presetId];
+                const data = {
+                    format: MIDI_MAP_FORMAT,
+                    version: MIDI_MAP_VERSION,
+                    name: preset ? preset.name : 'Custom',
+                    bindings: this.noteBindings,
+                    controls: this.ccBindings
+                };
+                const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+                this.embryoPlayer.downloadBlob(blob, 'embryo-midi-map.json');
+                this.embryoPlayer.logToTerminal('MIDI map exported (' + this.noteBindings.length + ' notes, ' +
+                    Object.keys(this.ccBindings).length + ' CCs)', 'info');
+            }
+
+            // Open a file dialog and import the chosen mapping
+            openImportDialog() {
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = '.json,application/json';
+
+                const self = this;
+                input.onchange = function(e) {
+                    const file = e.target.files[0];
+                    if (file) self.importFromFile(file);
+                };
+
+                input.click();
+            }
+
+            /**
+             * Read a mapping exported by exportMapping()
+             * @param {File} file - JSON mapping file
+             */
+            async importFromFile(file) {
+                const player = this.embryoPlayer;
+
+                try {
+                    const data = JSON.parse(await file.text());
+                    if (!data || data.format !== MIDI_MAP_FORMAT) {
+                        throw new Error('not an Embryo MIDI map');
+                    }
+
+                    this.noteBindings = this.normalizeBindings(data.bindings);
+                    if (data.controls) {
+                        this.ccBindings = this.normalizeControls(data.controls);
+                        this.ccSentValues = {};
+                    }
+                    this.presetId = 'custom';
+                    this.save();
+                    player.updateMidiMapDisplay();
+                    player.logToTerminal('MIDI map "' + (data.name || file.name) + '" imported (' + this.noteBindings.length + ' bindings)', 'info');
+                } catch (error) {
+                    console.error('Error importing MIDI map:', error);
+                    player.logToTerminal('Error importing MIDI map: ' + error.message, 'error');
+                }
+            }
+        }
+
+        /**
+         * MIDI Output Class - Controller LED Feedback and Note Echo
+         *
+         * @class MidiOutput
+         * @description Sends feedback to MIDI outputs. Every output has a profile from MIDI_OUTPUT_PROFILES:
+         * 'echo' sends each pad hit as its mapped note; grid profiles light the pads that hold a sample in the
+         * current bank, flash them on every hit (live or scheduled, timed with the audio) and light the
+         * transport and bank buttons. Only changed LEDs are sent; the player calls refresh() when samples
+         * are loaded or deleted, the bank changes and REC/DUB/PLAY/STOP change state. Profiles are kept per
+         * device name in localStorage; new devices named like a known grid get its profile.
+         *
+         * @property {EmbrioPlayer} embryoPlayer - Reference to main player instance
+         * @property {Object} deviceProfiles - Output name → MIDI_OUTPUT_PROFILES key
+         * @property {Map} ledStates - Output id → { 'n41': color, 'c89': color, ... } last sent resting state
+         *
+         * @example
+         * const midiOutput = new MidiOutput(embryoPlayer);
+         * midiOutput.setDeviceProfile(output, 'launchpad');
+         * midiOutput.flashPad(5, audioContext.currentTime, 100);
+         */
+        class MidiOutput {
+            constructor(embryoPlayer) {
+                this.embryoPlayer = embryoPlayer;
+                this.deviceProfiles = {};
+                this.ledStates = new Map();
+                this.load();
+
+                // Leave the controller dark when the page goes away
+                window.addEventListener('pagehide', () => {
+                    this.getOutputs().forEach(output => this.clearLeds(output));
+                });
+            }
+
+            // Restore the device profiles saved in localStorage
+            load() {
+                try {
+                    const saved = localStorage.getItem('embryoPlayerMidiOutputs');
+                    if (saved) {
+                        const profiles = JSON.parse(saved);
+                        Object.keys(profiles).forEach(name => {
+                            if (MIDI_OUTPUT_PROFILES[profiles[name]]) this.deviceProfiles[name] = profiles[name];
+                        });
+                    }
+                } catch (e) {
+                    console.error('Error loading MIDI output profiles:', e);
+                }
+            }
+
+            // Persist the device profiles to localStorage
+            save() {
+                try {
+                    localStorage.setItem('embryoPlayerMidiOutputs', JSON.stringify(this.deviceProfiles));
+                } catch (e) {
+                    console.error('Error saving MIDI output profiles:', e);
+                }
+            }
+
+            /**
+             * Connected MIDI outputs
+             * @returns {Array<MIDIOutput>} Outputs, empty without MIDI access
+             */
+            getOutputs() {
+                const outputs = [];
+                if (this.embryoPlayer.midiAccess) {
+                    this.embryoPlayer.midiAccess.outputs.forEach(output => {
+                        if (output.state !== 'disconnected') outputs.push(output);
+                    });
+                }
+                return outputs;
+            }
+
+            /**
+             * Profile key of an output
+             * @param {MIDIOutput} output - MIDI output
+             * @returns {string} MIDI_OUTPUT_PROFILES key
+             */
+            getProfileId(output) {
+                const name = output.name || output.id;
+                if (this.deviceProfiles[name]) return this.deviceProfiles[name];
+                return /launchpad/i.test(name) ? 'launchpad' : 'off';
+            }
+
+            /**
+             * Choose what an output receives
+             * @param {MIDIOutput} output - MIDI output
+             * @param {string} profileId - MIDI_OUTPUT_PROFILES key
+             * @description LEDs lit by the previous profile are switched off first
+             */
+            setDeviceProfile(output, profileId) {
+                if (!MIDI_OUTPUT_PROFILES[profileId]) return;
+
+                this.clearLeds(output);
+                this.deviceProfiles[output.name || output.id] = profileId;
+                this.save();
+                this.refresh();
+                this.embryoPlayer.logToTerminal('MIDI out ' + (output.name || output.id) + ': ' + MIDI_OUTPUT_PROFILES[profileId].name, 'info');
+            }
+
+            /**
+             * Resting LED colors for a grid profile
+             * @param {Object} profile - MIDI_OUTPUT_PROFILES entry with notes
+             * @returns {Object} 'n<note>' / 'c<cc>' → palette color
+             */
+            getLedColors(profile) {
+                const player = this.embryoPlayer;
+                const bankSamples = player.bankSamples[player.currentBank] || {};
+                const colors = {};
+
+                profile.notes.forEach((note, index) => {
+                    colors['n' + note] = bankSamples[index + 1] ? profile.colors.loaded : profile.colors.empty;
+                });
+
+                const lit = {
+                    rec: player.isRecording && !player.isOverdubbing,
+                    dub: player.isOverdubbing,
+                    play: player.isPlaying
+                };
+                Object.keys(profile.controls).forEach(key => {
+                    const bank = key.indexOf('bank-') === 0 ? key.slice(-1) : null;
+                    const on = bank ? bank === player.currentBank : lit[key];
+                    colors['c' + profile.controls[key]] = on ? profile.colors[bank ? 'bank' : key] : profile.colors.empty;
+                });
+
+                return colors;
+            }
+
+            /**
+             * Send the LEDs that changed since the last refresh
+             * @param {boolean} force - Resend every LED (after a device appears)
+             */
+            refresh(force = false) {
+                this.getOutputs().forEach(output => {
+                    const profile = MIDI_OUTPUT_PROFILES[this.getProfileId(output)];
+                    if (!profile.notes) return;
+
+                    const colors = this.getLedColors(profile);
+                    const sent = force ? {} : (this.ledStates.get(output.id) || {});
+                    Object.keys(colors).forEach(key => {
+                        if (sent[key] !== colors[key]) {
+                            this.sendLed(output, profile, key, colors[key]);
+                        }
+                    });
+                    this.ledStates.set(output.id, colors);
+                });
+            }
+
+            /**
+             * Forget what an output was sent and light it again (device plugged in or removed)
+             * @param {MIDIOutput} output - MIDI output
+             */
+            resetDevice(output) {
+                this.ledStates.delete(output.id);
+                if (output.state === 'connected') {
+                    this.refresh();
+                }
+            }
+
+            /**
+             * Switch off every LED an output was given
+             * @param {MIDIOutput} output - MIDI output
+             */
+            clearLeds(output) {
+                const sent = this.ledStates.get(output.id);
+                if (!sent) return;
+
+                const profile = MIDI_OUTPUT_PROFILES[this.getProfileId(output)];
+                Object.keys(sent).forEach(key => this.sendLed(output, profile, key, 0));
+                this.ledStates.delete(output.id);
+            }
+
+            /**
+             * Send one LED color
+             * @param {MIDIOutput} output - MIDI output
+             * @param {Object} profile - Grid profile
+             * @param {string} key - 'n<note>' for a pad, 'c<cc>' for a button
+             * @param {number} color - Palette color (0 = off)
+             * @param {number} timestamp - Optional performance.now() time to send at
+             */
+            sendLed(output, profile, key, color, timestamp) {
+                const status = (key[0] === 'n' ? 0x90 : 0xB0) | (profile.channel - 1);
+                try {
+                    output.send([status, parseInt(key.slice(1), 10), color], timestamp);
+                } catch (e) {
+                    console.error('MIDI output send failed:', e);
+                }
+            }
+
+            /**
+             * Convert an audio time to a Web MIDI timestamp
+             * @param {number} time - AudioContext time in seconds
+             * @returns {number} performance.now() time in milliseconds
+             * @description Uses the output timestamp when available so LEDs line up with what is heard
+             */
+            toMidiTime(time) {
+                const context = this.embryoPlayer.audioContext;
+                const stamp = context.getOutputTimestamp ? context.getOutputTimestamp() : null;
+                if (stamp && stamp.performanceTime) {
+                    return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+                }
+                return performance.now() + (time - context.currentTime) * 1000;
+            }
+
+            /**
+             * Convert a MIDI timestamp to AudioContext time (inverse of toMidiTime)
+             * @param {number} timeStamp - Time in ms on the performance.now() clock
+             * @returns {number} AudioContext time in seconds
+             */
+            fromMidiTime(timeStamp) {
+                const context = this.embryoPlayer.audioContext;
+                const stamp = context.getOutputTimestamp ? context.getOutputTimestamp() : null;
+                if (stamp && stamp.performanceTime) {
+                    return stamp.contextTime + (timeStamp - stamp.performanceTime) / 1000;
+                }
+                return context.currentTime + (timeStamp - performance.now()) / 1000;
+            }
+
+            /**
+             * Flash a pad or echo its note when it plays
+             * @param {number} padNumber - Pad number (1-16)
+             * @param {number} when - AudioContext time of the hit
+             * @param {number} velocity - Hit velocity (1-127)
+             */
+            flashPad(padNumber, when, velocity) {
+                const outputs = this.getOutputs();
+                if (outputs.length === 0) return;
+
+                const start = Math.max(performance.now(), this.toMidiTime(when));
+                const end = start + MIDI_FLASH_TIME * 1000;
+
+                outputs.forEach(output => {
+                    const profile = MIDI_OUTPUT_PROFILES[this.getProfileId(output)];
+
+                    if (profile.echo) {
+                        const binding = this.embryoPlayer.midiMapping.noteBindings.find(candidate => candidate.pad === padNumber);
+                        const note = binding ? binding.note : 47 + padNumber; // Chromatic: note % 16 + 1 plays the pad
+                        const channel = (binding && binding.channel ? binding.channel : 1) - 1;
+                        try {
+                            output.send([0x90 | channel, note, velocity], start);
+                            output.send([0x80 | channel, note, 0], end);
+                        } catch (e) {
+                            console.error('MIDI output send failed:', e);
+                        }
+                    } else if (profile.notes) {
+                        const key = 'n' + profile.notes[padNumber - 1];
+                        const resting = (this.ledStates.get(output.id) || {})[key] || profile.colors.empty;
+                        this.sendLed(output, profile, key, profile.colors.hit, start);
+                        this.sendLed(output, profile, key, resting, end);
+                    }
+                });
+            }
+        }
+
+        /**
+         * MIDI Clock Class - Clock and Transport Sync
+         *
+         * @class MidiClock
+         * @description Master mode sends 24 PPQN clock to the outputs with CLK enabled, on the audio timeline
+         * and at the current tempo, plus Start/Stop with the sequencer. Playback starts on the next clock pulse
+         * so the pulse after Start is the downbeat; switching to master mid-playback sends Song Position (16ths
+         * since sequenceStartTime) and Continue. Slave mode arms on Start/Continue and starts the sequencer on
+         * the first pulse after it, MIDI_CLOCK_SLAVE_DELAY behind the pulse timestamp. The smoothed tempo is
+         * applied live once per beat, and on every beat the timeline is shifted so the sequence position
+         * matches the pulses counted since the start, which keeps fractional master tempos from drifting.
+         *
+         * @property {EmbrioPlayer} embryoPlayer - Reference to main player instance
+         * @property {string} mode - MIDI_CLOCK_MODES entry
+         * @property {Set<string>} clockOutputs - Names of the outputs that receive clock (master)
+         * @property {number|null} nextPulseTime - Audio time of the next pulse to send (master)
+         * @property {number|null} pulseInterval - Smoothed incoming pulse interval in ms (slave)
+         * @property {boolean} startPending - Start/Continue received, waiting for the first pulse (slave)
+         * @property {number|null} pulseCount - Pulses since the start pulse, null when not synced (slave)
+         *
+         * @example
+         * const midiClock = new MidiClock(embryoPlayer);
+         * midiClock.setMode('master');
+         */
+        class MidiClock {
+            constructor(embryoPlayer) {
+                this.embryoPlayer = embryoPlayer;
+                this.mode = 'off';
+                this.timer = null;
+                this.nextPulseTime = null;
+                this.pulseInterval = null;
+                this.lastPulseStamp = null;
+                this.startPending = false;
+                this.pulseCount = null;
+                this.clockOutputs = new Set();
+
+                try {
+                    const saved = localStorage.getItem('embryoPlayerMidiClock');
+                    if (MIDI_CLOCK_MODES.indexOf(saved) !== -1) this.mode = saved;
+                    const outputs = JSON.parse(localStorage.getItem('embryoPlayerMidiClockOutputs') || '[]');
+                    if (Array.isArray(outputs)) this.clockOutputs = new Set(outputs);
+                } catch (e) {
+                    console.error('Error loading MIDI clock mode:', e);
+                }
+                if (this.mode === 'master') this.startPulses();
+            }
+
+            /**
+             * Switch clock mode
+             * @param {string} mode - MIDI_CLOCK_MODES entry
+             */
+            setMode(mode) {
+                if (MIDI_CLOCK_MODES.indexOf(mode) === -1 || mode === this.mode) return;
+
+                const player = this.embryoPlayer;
+                if (this.mode === 'master') {
+                    if (player.isPlaying) this.send([0xFC]);
+                    this.stopPulses();
+                }
+
+                this.mode = mode;
+                this.pulseInterval = null;
+                this.lastPulseStamp = null;
+                this.startPending = false;
+                this.pulseCount = null;
+                try {
+                    localStorage.setItem('embryoPlayerMidiClock', mode);
+                } catch (e) {
+                    console.error('Error saving MIDI clock mode:', e);
+                }
+
+                if (mode === 'master') {
+                    this.startPulses();
+                    if (player.isPlaying && player.audioContext) this.continueFrom(player.audioContext.currentTime + 0.05);
+                }
+                player.logToTerminal('MIDI clock: ' + { off: 'off', master: 'sending (master)', slave: 'following (slave)' }[mode], 'info');
+            }
+
+            /**
+             * Check whether an output receives clock
+             * @param {MIDIOutput} output - Web MIDI output port
+             * @returns {boolean} True when CLK is enabled for the device
+             */
+            isClockOutput(output) {
+                return this.clockOutputs.has(output.name || output.id);
+            }
+
+            /**
+             * Enable or disable clock for one output (remembered by device name)
+             * @param {MIDIOutput} output - Web MIDI output port
+             * @returns {boolean} True when clock is now enabled
+             */
+            toggleClockOutput(output) {
+                const key = output.name || output.id;
+                const enabled = !this.clockOutputs.has(key);
+                if (enabled) {
+                    this.clockOutputs.add(key);
+                } else {
+                    this.clockOutputs.delete(key);
+                    // Let the device drop out of sync instead of running on without pulses
+                    if (this.mode === 'master' && this.embryoPlayer.isPlaying) {
+                        try {
+                            output.send([0xFC]);
+                        } catch (e) {
+                            console.error('MIDI clock send failed:', e);
+                        }
+                    }
+                }
+                try {
+                    localStorage.setItem('embryoPlayerMidiClockOutputs', JSON.stringify(Array.from(this.clockOutputs)));
+                } catch (e) {
+                    console.error('Error saving MIDI clock outputs:', e);
+                }
+                this.embryoPlayer.logToTerminal('MIDI clock ' + (enabled ? 'enabled' : 'disabled') + ' for ' + key, 'info');
+                return enabled;
+            }
+
+            /**
+             * Send a message to the outputs with clock enabled
+             * @param {Array<number>} data - MIDI bytes
+             * @param {number} time - Optional AudioContext time to send at
+             */
+            send(data, time) {
+                const midiOutput = this.embryoPlayer.midiOutput;
+                const outputs = midiOutput.getOutputs().filter(output => this.isClockOutput(output));
+                if (outputs.length === 0) return;
+                const timestamp = time === undefined ? undefined : midiOutput.toMidiTime(time);
+                outputs.forEach(output => {
+                    try {
+                        output.send(data, timestamp);
+                    } catch (e) {
+                        console.error('MIDI clock send failed:', e);
+                    }
+                });
+            }
+
+            // Run the pulse scheduler (master), free-running while stopped
+            startPulses() {
+                if (this.timer) return;
+                this.nextPulseTime = null;
+                this.timer = setInterval(() => this.schedulePulses(), LOOKAHEAD * 1000);
+            }
+
+            stopPulses() {
+                if (this.timer) {
+                    clearInterval(this.timer);
+                    this.timer = null;
+                }
+                this.nextPulseTime = null;
+            }
+
+            /**
+             * Send the pulses that fall inside the schedule horizon
+             * @description Pulses advance at the current tempo, so tempo changes reach the slaves right away
+             */
+            schedulePulses() {
+                const context = this.embryoPlayer.audioContext;
+                if (!context) return;
+
+                const now = context.currentTime;
+                if (this.nextPulseTime === null || this.nextPulseTime < now) {
+                    this.nextPulseTime = now + 0.01;
+                }
+                while (this.nextPulseTime < now + SCHEDULE_AHEAD_TIME) {
+                    this.send([0xF8], this.nextPulseTime);
+                    this.nextPulseTime += 60 / this.embryoPlayer.bpm / MIDI_CLOCK_PPQN;
+                }
+            }
+
+            /**
+             * Sequencer start: pick the start time and send Start (master)
+             * @param {number} time - Earliest audio time to start at
+             * @returns {number} Start time; in master mode the next unsent pulse, which becomes the downbeat
+             */
+            start(time) {
+                if (this.mode !== 'master') return time;
+
+                this.schedulePulses();
+                const startTime = Math.max(time, this.nextPulseTime);
+                this.nextPulseTime = startTime;
+                this.send([0xFA], startTime - 0.001);
+                return startTime;
+            }
+
+            /**
+             * Join a running sequence: Song Position on the next 16th, then Continue (master)
+             * @param {number} time - Earliest audio time to continue at
+             */
+            continueFrom(time) {
+                const player = this.embryoPlayer;
+                const stepDuration = 60 / player.bpm / GRID_STEPS_PER_BEAT;
+
+                this.schedulePulses();
+                const earliest = Math.max(time, this.nextPulseTime);
+                const steps = Math.max(0, Math.ceil((earliest - player.sequenceStartTime) / stepDuration - 1e-6));
+                const continueTime = player.sequenceStartTime + steps * stepDuration;
+                const position = steps % 16384; // 14-bit Song Position in MIDI beats (16ths)
+
+                this.nextPulseTime = continueTime;
+                this.send([0xF2, position & 0x7F, position >> 7], continueTime - 0.002);
+                this.send([0xFB], continueTime - 0.001);
+            }
+
+            // Sequencer stop: send Stop (master)
+            stop() {
+                if (this.mode === 'master') this.send([0xFC]);
+            }
+
+            /**
+             * Handle incoming clock and transport messages (slave)
+             * @param {number} status - 0xF8 clock, 0xFA start, 0xFB continue, 0xFC stop
+             * @param {number} timeStamp - Event time in ms (performance.now() clock)
+             */
+            handleMessage(status, timeStamp) {
+                if (this.mode !== 'slave') return;
+                const player = this.embryoPlayer;
+
+                switch (status) {
+                    case 0xF8:
+                        this.followPulse(timeStamp);
+                        break;
+                    case 0xFA:
+                    case 0xFB:
+                        // No pause position to resume from: Continue restarts like Start.
+                        // The first pulse after it is the downbeat
+                        if (player.isPlaying) player.stopSequence();
+                        this.startPending = true;
+                        this.pulseCount = null;
+                        break;
+                    case 0xFC:
+                        this.startPending = false;
+                        this.pulseCount = null;
+                        if (player.isPlaying) player.stopSequence();
+                        break;
+                }
+            }
+
+            /**
+             * Follow one clock pulse: start a pending sequence, track tempo and phase
+             * @param {number} timeStamp - Pulse time in ms
+             * @description Intervals are smoothed exponentially; once per beat the tempo is applied live when it
+             * differs from the current BPM by more than jitter, then the phase is realigned to the pulse
+             */
+            followPulse(timeStamp) {
+                const player = this.embryoPlayer;
+                const last = this.lastPulseStamp;
+                this.lastPulseStamp = timeStamp;
+                if (last !== null && timeStamp - last <= MIDI_CLOCK_TIMEOUT) {
+                    const interval = timeStamp - last;
+                    this.pulseInterval = this.pulseInterval === null ? interval :
+                        this.pulseInterval + (interval - this.pulseInterval) * MIDI_CLOCK_SMOOTHING;
+                } else {
+                    this.pulseInterval = null;
+                }
+
+                if (!player.audioContext) return;
+                const pulseTime = player.midiOutput.fromMidiTime(timeStamp) + MIDI_CLOCK_SLAVE_DELAY;
+
+                if (this.startPending) {
+                    this.startPending = false;
+                    player.playSequence(Math.max(pulseTime, player.audioContext.currentTime + 0.01));
+                    this.pulseCount = player.isPlaying ? 0 : null;
+                    return;
+                }
+                if (this.pulseCount === null || !player.isPlaying) return;
+
+                this.pulseCount++;
+                if (this.pulseCount % MIDI_CLOCK_PPQN !== 0) return;
+
+                if (this.pulseInterval !== null) {
+                    const bpm = 60000 / (this.pulseInterval * MIDI_CLOCK_PPQN);
+                    if (Math.abs(bpm - player.bpm) > 0.6) {
+                        player.bpmController.changeBPM(Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(bpm))) - player.bpm, { live: true });
+                    }
+                }
+                this.alignPhase(pulseTime);
+            }
+
+            /**
+             * Shift the running timeline so this beat pulse lands on its beat
+             * @param {number} pulseTime - Audio time the pulse should sound at
+             * @description The integer BPM rarely matches the master exactly; the remaining error is absorbed
+             * here every beat instead of accumulating
+             */
+            alignPhase(pulseTime) {
+                const player = this.embryoPlayer;
+                const beats = this.pulseCount / MIDI_CLOCK_PPQN;
+                const shift = pulseTime - beats * (60 / player.bpm) - player.sequenceStartTime;
+                if (Math.abs(shift) > 0.001) {
+                    player.retimeTimeline(time => time + shift);
+                }
+            }
+        }
+
+        /**
+         * Step Grid Editor - edits recorded events on a pads × steps grid
+         *
+         * @class StepGridEditor
+         * @description Shows one bar of the selected pattern (or all of its bars side by side with ALL)
+         * as 16 pad rows × grid steps (GRID_RESOLUTION in 4/4, following the time signature otherwise).
+         * Cells are backed by the event objects in `sequence`, so the scheduler picks up edits on its
+         * next tick, and the grid re-renders when REC/DUB records a hit while it is open.
+         * Click an empty cell to add an event, click a filled cell to remove it, drag a filled
+         * cell to move its events to another pad, step or bar.
+         *
+         * @property {EmbrioPlayer} embryoPlayer - Reference to main player instance
+         * @property {number} barIndex - Bar shown in the grid
+         * @property {boolean} showAllBars - Show every bar of the pattern instead of barIndex
+         * @property {string} bank - Bank whose pads are shown as rows
+         * @property {Object|null} dragSource - Cell where the pointer went down ({ pad, bar, step })
+         *
+         * @example
+         * const stepGrid = new StepGridEditor(embryoPlayer);
+         * stepGrid.open();
+         */
+        class StepGridEditor {
+            constructor(embryoPlayer) {
+                this.embryoPlayer = embryoPlayer;
+                this.barIndex = 0;
+                this.showAllBars = false;
+                this.bank = 'A';
+                this.dragSource = null;
+                this.playheadCell = null;
+                this.init();
+            }
+
+            init() {
+                const self = this;
+                const grid = document.getElementById('step-grid');
+                if (!grid) return;
+
+                document.getElementById('step-grid-button').addEventListener('click', function() { self.open(); });
+                document.getElementById('step-grid-prev-bar').addEventListener('click', function() { self.changeBar(-1); });
+                document.getElementById('step-grid-next-bar').addEventListener('click', function() { self.changeBar(1); });
+                document.getElementById('step-grid-all-bars').addEventListener('click', function() { self.toggleAllBars(); });
+                document.getElementById('step-grid-bank').addEventListener('click', function() { self.cycleBank(); });
+                document.getElementById('step-grid-clear-bar').addEventListener('click', function() { self.clearBar(); });
+                document.getElementById('step-grid-close').addEventListener('click', function() { self.close(); });
+
+                grid.addEventListener('pointerdown', function(e) { self.handlePointerDown(e); });
+                grid.addEventListener('pointerup', function(e) { self.handlePointerUp(e); });
+                grid.addEventListener('pointercancel', function() { self.dragSource = null; });
+            }
+
+            isOpen() {
+                const modal = document.getElementById('step-grid-modal');
+                return !!modal && modal.style.display === 'flex';
+            }
+
+            open() {
+                const player = this.embryoPlayer;
+                this.bank = player.currentBank;
+                this.barIndex = Math.min(this.barIndex, player.pattern.bars - 1);
+                this.render();
+                document.getElementById('step-grid-modal').style.display = 'flex';
+            }
+
+            close() {
+                document.getElementById('step-grid-modal').style.display = 'none';
+                this.dragSource = null;
+            }
+
+            // Bars shown in the grid
+            shownBars() {
+                if (!this.showAllBars) return [this.barIndex];
+
+                const bars = [];
+                for (let bar = 0; bar < this.embryoPlayer.pattern.bars; bar++) {
+                    bars.push(bar);
+                }
+                return bars;
+            }
+
+            // Duration of one grid step (a 16th note) in seconds
+            stepDuration() {
+                const player = this.embryoPlayer;
+                return player.beatDuration() / player.gridStepsPerBeat;
+            }
+
+            // Grid step an event time falls on (free-timing events snap to the nearest step)
+            stepForTime(time) {
+                const step = Math.round(time / this.stepDuration());
+                return Math.max(0, Math.min(this.embryoPlayer.gridResolution - 1, step));
+            }
+
+            // Events of a bar and the shown bank that sit on a cell
+            getCellEvents(pad, barIndex, step) {
+                const player = this.embryoPlayer;
+                const bar = player.sequence[barIndex] || [];
+                const self = this;
+
+                return bar.filter(function(ev) {
+                    return ev.pad === pad &&
+                        (ev.bank || player.currentBank) === self.bank &&
+                        self.stepForTime(ev.time) === step;
+                });
+            }
+
+            addEvent(pad, barIndex, step) {
+                const time = step * this.stepDuration();
+
+                this.embryoPlayer.sequence[barIndex].push({
+                    pad: pad,
+                    time: time,
+                    bank: this.bank,
+                    velocity: DEFAULT_VELOCITY,
+                    originalTime: time,
+                    quantized: true
+                });
+            }
+
+            removeEvents(events, barIndex) {
+                const bar = this.embryoPlayer.sequence[barIndex];
+                events.forEach(function(ev) {
+                    const index = bar.indexOf(ev);
+                    if (index !== -1) bar.splice(index, 1);
+                });
+            }
+
+            // Move events to another cell (possibly in another bar), keeping their offset from the step (groove)
+            moveEvents(events, source, target) {
+                const stepDuration = this.stepDuration();
+                const barDuration = this.embryoPlayer.barDuration();
+
+                if (source.bar !== target.bar) {
+                    this.removeEvents(events, source.bar);
+                    Array.prototype.push.apply(this.embryoPlayer.sequence[target.bar], events);
+                }
+
+                events.forEach(function(ev) {
+                    const offset = ev.time - source.step * stepDuration;
+                    ev.pad = target.pad;
+                    ev.time = Math.max(0, Math.min(barDuration - 0.001, target.step * stepDuration + offset));
+                    if (ev.originalTime !== undefined) {
+                        ev.originalTime = ev.time;
+                    }
+                });
+            }
+
+            changeBar(delta) {
+                const bars = this.embryoPlayer.pattern.bars;
+                this.showAllBars = false;
+                this.barIndex = (this.barIndex + delta + bars) % bars;
+                this.render();
+            }
+
+            toggleAllBars() {
+                this.showAllBars = !this.showAllBars;
+                this.render();
+            }
+
+            cycleBank() {
+                const banks = ['A', 'B', 'C', 'D'];
+                this.bank = banks[(banks.indexOf(this.bank) + 1) % banks.length];
+                this.render();
+            }
+
+            // Clear the shown bank from the shown bar(s)
+            clearBar() {
+                const player = this.embryoPlayer;
+                const self = this;
+                let removed = 0;
+
+                this.shownBars().forEach(function(barIndex) {
+                    const bar = player.sequence[barIndex];
+                    const kept = bar.filter(function(ev) { return (ev.bank || player.currentBank) !== self.bank; });
+                    removed += bar.length - kept.length;
+                    player.sequence[barIndex] = kept;
+                });
+
+                this.render();
+                const where = this.showAllBars ? 'all bars' : 'bar ' + (this.barIndex + 1);
+                player.logToTerminal(`Grid: cleared ${removed} events from ${where} (Bank ${this.bank})`, 'info');
+            }
+
+            // Find the grid cell under a pointer position (touch keeps the pointer captured on the start cell)
+            cellFromPoint(e) {
+                const element = document.elementFromPoint(e.clientX, e.clientY);
+                const cell = element && element.closest ? element.closest('.step-cell') : null;
+                if (!cell) return null;
+
+                return {
+                    pad: parseInt(cell.dataset.pad, 10),
+                    bar: parseInt(cell.dataset.bar, 10),
+                    step: parseInt(cell.dataset.step, 10)
+                };
+            }
+
+            handlePointerDown(e) {
+                this.dragSource = this.cellFromPoint(e);
+                if (this.dragSource) e.preventDefault();
+            }
+
+            handlePointerUp(e) {
+                const source = this.dragSource;
+                const target = this.cellFromPoint(e);
+                this.dragSource = null;
+                if (!source || !target) return;
+
+                const sourceEvents = this.getCellEvents(source.pad, source.bar, source.step);
+
+                if (source.pad === target.pad && source.bar === target.bar && source.step === target.step) {
+                    // Click: toggle the cell
+                    if (sourceEvents.length > 0) {
+                        this.removeEvents(sourceEvents, source.bar);
+                    } else {
+                        this.addEvent(target.pad, target.bar, target.step);
+                    }
+                } else if (sourceEvents.length > 0) {
+                    // Drag: move the events, replacing anything on the target cell
+                    this.removeEvents(this.getCellEvents(target.pad, target.bar, target.step), target.bar);
+                    this.moveEvents(sourceEvents, source, target);
+                } else {
+                    return;
+                }
+
+                this.render();
+            }
+
+            render() {
+                const player = this.embryoPlayer;
+                const grid = document.getElementById('step-grid');
+                if (!grid) return;
+
+                this.barIndex = Math.min(this.barIndex, player.pattern.bars - 1);
+
+                const steps = player.gridResolution;
+                const stepsPerBeat = player.gridStepsPerBeat;
+                const names = player.sampleNames[this.bank] || {};
+                const bars = this.shownBars();
+
+                document.getElementById('step-grid-bar').textContent = this.showAllBars ?
+                    'BARS 1-' + player.pattern.bars : 'BAR ' + (this.barIndex + 1) + '/' + player.pattern.bars;
+                document.getElementById('step-grid-all-bars').classList.toggle('selected', this.showAllBars);
+                document.getElementById('step-grid-bank').textContent = 'BANK ' + this.bank;
+                document.getElementById('step-grid-info').textContent =
+                    'Pattern ' + (player.currentPatternIndex + 1) + ' • ' + player.getTimeSignatureLabel() + ' • ' + steps + ' steps';
+
+                grid.style.gridTemplateColumns = '70px repeat(' + (steps * bars.length) + ', minmax(8px, 1fr))';
+                grid.innerHTML = '';
+
+                // Occupied cells of the shown bars and bank
+                const filled = {};
+                bars.forEach(barIndex => {
+                    (player.sequence[barIndex] || []).forEach(ev => {
+                        if ((ev.bank || player.currentBank) !== this.bank) return;
+                        filled[ev.pad + '-' + barIndex + '-' + this.stepForTime(ev.time)] = true;
+                    });
+                });
+
+                for (let pad = 1; pad <= 16; pad++) {
+                    const label = document.createElement('div');
+                    label.className = 'step-label';
+                    label.textContent = pad + ' ' + (names[pad] ? names[pad].replace(/\.[^.]+$/, '') : '-');
+                    grid.appendChild(label);
+
+                    bars.forEach(barIndex => {
+                        for (let step = 0; step < steps; step++) {
+                            const cell = document.createElement('div');
+                            cell.className = 'step-cell';
+                            cell.dataset.pad = pad;
+                            cell.dataset.bar = barIndex;
+                            cell.dataset.step = step;
+                            if (step % stepsPerBeat === 0) cell.classList.add('beat-start');
+                            if (step === 0 && barIndex !== bars[0]) cell.classList.add('bar-start');
+                            if (filled[pad + '-' + barIndex + '-' + step]) cell.classList.add('step-on');
+                            grid.appendChild(cell);
+                        }
+                    });
+                }
+
+                this.playheadCell = null;
+            }
 
+            // Highlight the step column being heard (called from the scheduler's position update)
+            updatePlayhead(barIndex, time) {
+                const shown = this.shownBars().indexOf(barIndex) !== -1;
+                const column = shown ? barIndex + '-' + Math.floor(time / this.stepDuration()) : null;
+                if (column === this.playheadCell) return;
+
+                const grid = document.getElementById('step-grid');
+                grid.querySelectorAll('.step-playhead').forEach(function(cell) {
+                    cell.classList.remove('step-playhead');
+                });
+                if (column) {
+                    const step = column.split('-')[1];
+                    grid.querySelectorAll('.step-cell[data-bar="' + barIndex + '"][data-step="' + step + '"]').forEach(function(cell) {
+                        cell.classList.add('step-playhead');
+                    });
+                }
 
+                this.playheadCell = column;
+            }
+        }
 
         /**
          * Main Player Class - Core Application Logic
@@ -494,14 +2954,19 @@
          * 
          * @property {AudioContext} audioContext - Web Audio API audio context
          * @property {Object} samples - Map of loaded audio samples
-         * @property {Object} activeSources - Currently playing audio sources
+         * @property {Object} activeSources - Sounding voices per pad ({ source, gain, bank, pad, startTime } each)
+         * @property {Object} padSettings - Per-pad voice settings by bank
          * @property {Object} visualizers - Audio visualization components
          * @property {Set} touchedPads - Currently touched/active pads
          * @property {boolean} isAudioInitialized - Audio system initialization state
          * @property {boolean} isRecording - Sequence recording state
          * @property {boolean} isPlaying - Sequence playback state
          * @property {number} bpm - Current tempo in BPM
-         * @property {number} currentBar - Current bar position (0-3)
+         * @property {number} currentBar - Current bar position (0 to pattern.bars - 1)
+         * @property {Array<Object>} patterns - Pattern bank ({ bars, beatsPerBar, beatUnit, sequence } each)
+         * @property {Object} pattern - The selected pattern (patterns[currentPatternIndex])
+         * @property {Array<Array>} sequence - Event bars of the selected pattern
+         * @property {Array<Object>} song - Song chain steps ({ pattern, repeats })
          * @property {number} currentBeat - Current beat position (1-4)
          * @property {Array} sequence - Recorded sequence data structure
          * @property {Object} bankSamples - Samples organized by bank (A, B, C, D)
@@ -537,8 +3002,22 @@
                 this.bpm = 120;
                 this.currentBar = 0;
                 this.currentBeat = 1;
-                this.sequence = Array(BAR_COUNT).fill().map(function() { return []; });
                 this.sequenceStartTime = 0;
+                
+                // Pattern bank and song chain
+                this.patterns = [];
+                for (let i = 0; i < PATTERN_COUNT; i++) {
+                    this.patterns.push(this.createPattern());
+                }
+                this.currentPatternIndex = 0;
+                this.queuedPatternIndex = null; // Pattern waiting for the next bar boundary
+                this.song = [];                 // Chain steps: { pattern, repeats }
+                this.songMode = false;
+                this.songPosition = null;       // { step, repeat } while the chain plays
+                this.playhead = null;           // Scheduler position: { patternIndex, barIndex, barStartTime }
+                this.barTimeline = [];          // Scheduled bar starts, consumed by the bar/beat display
+                this.automationTouched = new Set(); // Lanes already overwritten in this REC/DUB pass
+                this.automationUi = [];         // Scheduled automation points waiting to move their slider
                 this.metronomeInterval = null;
                 this.beatInterval = null;
                 this.barAdvancementInterval = null;
@@ -549,6 +3028,7 @@
                 
                 // MIDI
                 this.midiAccess = null;
+                this.midiPortStates = new Map(); // Port id → last seen state, to log real plug/unplug only
                 
                 // Bancos de sonidos
                 this.currentBank = 'A';
@@ -597,6 +3077,15 @@
                 this.masterGain = null;          // Control de volumen master
                 this.masterFilter = null;        // Filtro low-pass master
                 this.masterDistortion = null;   // Distortion/Saturation master
+                this.sendBus = null;            // Aux delay/reverb (see buildSendBus)
+                this.masterCompressor = null;   // Master bus compressor
+                this.compressorMakeup = null;   // Compressor makeup gain
+                this.masterLimiter = null;      // Safety limiter
+                this.limiterClip = null;        // Brickwall clip after the limiter
+                this.gainReductionTimer = null; // Gain-reduction readout interval
+                this.distortionCurves = new Map(); // 'model:amount' → cached WaveShaper curve
+                this.workletContexts = new WeakSet(); // Contexts with the bitcrusher worklet loaded
+                this.reverbImpulse = null;      // Cached { decay, sampleRate, buffer } reverb impulse
                 
                 // Estado de efectos master
                 this.effectsEnabled = {
@@ -610,8 +3099,46 @@
                     volume: 100,
                     filter: 50,
                     distortion: 0,
-                    resonance: 5
+                    resonance: 5,
+                    delayDivision: '1/8.',  // One of DELAY_DIVISIONS
+                    delayFeedback: 35,      // Delay feedback (%)
+                    delayTone: 70,          // Feedback low-pass cutoff (0-100)
+                    delayLevel: 80,         // Delay return (%)
+                    reverbDecay: 30,        // 0-100 → REVERB_MIN_DECAY to REVERB_MAX_DECAY
+                    reverbLevel: 80,        // Reverb return (%)
+                    compThreshold: -18,     // Compressor threshold (dB)
+                    compRatio: 1,           // Compressor ratio (1 = no compression)
+                    compAttack: 10,         // Compressor attack (ms)
+                    compRelease: 250,       // Compressor release (ms)
+                    compMakeup: 0,          // Makeup gain (dB)
+                    distortionModel: 'tube',        // One of DISTORTION_MODELS
+                    distortionOversample: '2x',     // One of DISTORTION_OVERSAMPLING
+                    crushBits: 16,          // Master bitcrusher depth (1-16, 16 = off)
+                    crushRate: 100,         // Master bitcrusher hold rate (0-100, 100 = off)
+                    eqLow: 0,               // Isolator band gains (dB)
+                    eqMid: 0,
+                    eqHigh: 0,
+                    eqLowKill: false,       // Band kill switches
+                    eqMidKill: false,
+                    eqHighKill: false,
+                    eqLowFreq: 250,         // Low/mid crossover (Hz)
+                    eqHighFreq: 2500        // Mid/high crossover (Hz)
+                };
+                
+                // Velocity response
+                this.velocitySettings = {
+                    curve: 'linear',   // One of VELOCITY_CURVES
+                    brightness: false  // Soft hits also sound darker (per-hit low-pass)
+                };
+                
+                // Per-pad settings by bank (pads without an entry use DEFAULT_PAD_SETTINGS)
+                this.padSettings = {
+                    'A': {}, 'B': {}, 'C': {}, 'D': {}
                 };
+                this.padSettingsMode = false; // Next pad tap opens its settings
+                this.padSettingsTarget = null; // { bank, pad } shown in the settings modal
+                this.pointerHeldPad = null; // Pad held down with the mouse (released on mouseup/mouseleave)
+                this.reversedBuffers = new WeakMap(); // AudioBuffer → reversed copy for reverse pads
 
                 // NEW: Microphone Recording System
                 this.microphoneStream = null;
@@ -643,6 +3170,25 @@
                 console.log('[INIT] Creating BPMController...');
                 this.bpmController = new BPMController(this);
                 
+                console.log('[INIT] Creating KitStorage...');
+                this.kitStorage = new KitStorage(this);
+                this.storageAlmostFull = false; // Quota warning already shown (cleared once usage drops back)
+                
+                console.log('[INIT] Creating ProjectFile...');
+                this.projectFile = new ProjectFile(this);
+                
+                console.log('[INIT] Creating StepGridEditor...');
+                this.stepGrid = new StepGridEditor(this);
+                
+                console.log('[INIT] Creating MidiMapping...');
+                this.midiMapping = new MidiMapping(this);
+                
+                console.log('[INIT] Creating MidiOutput...');
+                this.midiOutput = new MidiOutput(this);
+                
+                console.log('[INIT] Creating MidiClock...');
+                this.midiClock = new MidiClock(this);
+                
                 // ============================================================================
                 // SYSTEM INITIALIZATION
                 // ============================================================================
@@ -653,6 +3199,7 @@
                 
                 console.log('[INIT] Loading sample information from storage...');
                 this.loadSampleInfoFromStorage();
+                this.loadVelocitySettings();
                 
                 // Initialize MIDI system (works before audio starts)
                 console.log('[INIT] Initializing MIDI system...');
@@ -693,10 +3240,43 @@
                 }
             }
             
+            /**
+             * Load the velocity curve and brightness from browser's local storage
+             * @method loadVelocitySettings
+             * @description Playing feel belongs to the player, so it survives reloads like the sample names
+             */
+            loadVelocitySettings() {
+                try {
+                    const saved = localStorage.getItem('embryoPlayerVelocity');
+                    if (saved) {
+                        const settings = JSON.parse(saved);
+                        if (VELOCITY_CURVES.indexOf(settings.curve) !== -1) {
+                            this.velocitySettings.curve = settings.curve;
+                        }
+                        this.velocitySettings.brightness = !!settings.brightness;
+                        this.updateVelocityButton();
+                    }
+                } catch (e) {
+                    console.error('Error loading velocity settings:', e);
+                }
+            }
+            
+            /**
+             * Save the velocity curve and brightness to browser's local storage
+             * @method saveVelocitySettings
+             */
+            saveVelocitySettings() {
+                try {
+                    localStorage.setItem('embryoPlayerVelocity', JSON.stringify(this.velocitySettings));
+                } catch (e) {
+                    console.error('Error saving velocity settings:', e);
+                }
+            }
+            
             /**
              * Save sample information to browser's local storage
              * @method saveSampleInfo
-             * @description Persists sample names and configurations to localStorage
+             * @description Persists sample names to localStorage and schedules the audio data write to IndexedDB
              */
             saveSampleInfo() {
                 try {
@@ -707,6 +3287,82 @@
                 } catch (e) {
                     console.error('Error saving information:', e);
                 }
+                
+                // Audio buffers, slices and trims go to IndexedDB (localStorage only holds names)
+                this.kitStorage.scheduleSave();
+                this.midiOutput.refresh();
+            }
+            
+            /**
+             * Restore the kit stored in IndexedDB into all four banks
+             * @method restoreStoredKit
+             * @returns {Promise<boolean>} True if a stored kit was restored
+             * @description Rebuilds bankSamples/sampleNames from IndexedDB and handles evicted storage
+             */
+            async restoreStoredKit() {
+                if (!this.kitStorage.isSupported()) {
+                    this.kitStorage.ready = true;
+                    this.logToTerminal('IndexedDB not available: samples will not persist between sessions.', 'warning');
+                    return false;
+                }
+                
+                await this.kitStorage.requestPersistence();
+                const kit = await this.kitStorage.restoreKit(this.audioContext);
+                
+                if (!kit || kit.padCount === 0) {
+                    // Names survived in localStorage but the audio data is gone (evicted or cleared)
+                    const hasStaleNames = Object.keys(this.sampleNames).some(bank => 
+                        this.sampleNames[bank] && Object.keys(this.sampleNames[bank]).length > 0);
+                    if (hasStaleNames) {
+                        this.sampleNames = { 'A': {}, 'B': {}, 'C': {}, 'D': {} };
+                        this.logToTerminal('Stored kit audio not found (evicted or never saved). Loading default samples.', 'warning');
+                    }
+                    this.updateStorageStatus();
+                    return false;
+                }
+                
+                this.bankSamples = kit.bankSamples;
+                this.sampleNames = kit.sampleNames;
+                this.padSettings = kit.padSettings;
+                
+                if (kit.missingCount > 0) {
+                    this.logToTerminal(kit.missingCount + ' stored pads were lost (storage evicted). Remaining pads restored.', 'warning');
+                    this.saveSampleInfo();
+                }
+                
+                this.updatePadBankIndicators();
+                this.logToTerminal('Restored ' + kit.padCount + ' pads from stored kit', 'info');
+                this.updateStorageStatus();
+                return true;
+            }
+            
+            /**
+             * Update the kit storage quota readout
+             * @method updateStorageStatus
+             * @description Shows IndexedDB usage, quota and persistence state under the input status bar; warns
+             * once when usage crosses 90%
+             */
+            async updateStorageStatus() {
+                const statusDiv = document.getElementById('storage-status');
+                if (!statusDiv) return;
+                
+                const quota = await this.kitStorage.getQuota();
+                if (!quota) {
+                    statusDiv.textContent = 'Kit storage: quota unavailable';
+                    return;
+                }
+                
+                const toMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+                const percentage = quota.quota > 0 ? Math.round((quota.usage / quota.quota) * 100) : 0;
+                const mode = this.kitStorage.persistent ? 'persistent' : 'may be evicted';
+                
+                statusDiv.textContent = `Kit storage: ${toMB(quota.usage)} MB / ${toMB(quota.quota)} MB (${percentage}%, ${mode})`;
+                
+                const almostFull = percentage >= 90;
+                if (almostFull && !this.storageAlmostFull) {
+                    this.logToTerminal(`Kit storage almost full (${percentage}%)`, 'warning');
+                }
+                this.storageAlmostFull = almostFull;
             }
             
             /**
@@ -745,6 +3401,175 @@
                 document.getElementById('stop-sequence').addEventListener('click', function() { self.stopAll(); });
                 document.getElementById('clear-sequence').addEventListener('click', function() { self.clearSequence(); });
                 
+                // Project file buttons
+                document.getElementById('save-project').addEventListener('click', function() { self.projectFile.exportProject(); });
+                document.getElementById('load-project').addEventListener('click', function() { self.projectFile.openFileDialog(); });
+                document.getElementById('project-replace').addEventListener('click', function() { self.projectFile.applyPendingProject('replace'); });
+                document.getElementById('project-merge').addEventListener('click', function() { self.projectFile.applyPendingProject('merge'); });
+                document.getElementById('project-cancel').addEventListener('click', function() { 
+                    self.projectFile.closeImportModal();
+                    self.logToTerminal('Project load cancelled', 'info');
+                });
+                
+                // Bounce buttons
+                document.getElementById('bounce-sequence').addEventListener('click', function() { self.openBounceModal('mix'); });
+                document.getElementById('export-stems').addEventListener('click', function() { self.openBounceModal('stems'); });
+                document.querySelectorAll('#bounce-modal .option-group .slicer-btn').forEach(function(btn) {
+                    btn.addEventListener('click', function() { self.selectOptionButton(btn); });
+                });
+                document.getElementById('bounce-confirm').addEventListener('click', function() { self.confirmBounce(); });
+                document.getElementById('bounce-cancel').addEventListener('click', function() { self.closeBounceModal(); });
+                
+                // Velocity settings
+                document.getElementById('velocity-button').addEventListener('click', function() { self.openVelocityModal(); });
+                document.querySelectorAll('#velocity-curve .slicer-btn').forEach(function(btn) {
+                    btn.addEventListener('click', function() {
+                        self.selectOptionButton(btn);
+                        self.setVelocityCurve(btn.dataset.value);
+                    });
+                });
+                document.querySelectorAll('#velocity-brightness .slicer-btn').forEach(function(btn) {
+                    btn.addEventListener('click', function() {
+                        self.selectOptionButton(btn);
+                        self.setVelocityBrightness(btn.dataset.value === 'on');
+                    });
+                });
+                document.getElementById('velocity-close').addEventListener('click', function() { self.closeVelocityModal(); });
+                
+                // Pad settings (option groups and sliders name their setting in data-setting)
+                document.getElementById('pad-settings-button').addEventListener('click', function() { self.togglePadSettingsMode(); });
+                document.querySelectorAll('#pad-settings-modal .option-group').forEach(function(group) {
+                    group.querySelectorAll('.slicer-btn').forEach(function(btn) {
+                        btn.addEventListener('click', function() {
+                            self.selectOptionButton(btn);
+                            self.setPadSetting(group.dataset.setting, self.parsePadSetting(group.dataset.setting, btn.dataset.value));
+                        });
+                    });
+                });
+                document.querySelectorAll('#pad-settings-modal .pad-param-slider').forEach(function(slider) {
+                    slider.addEventListener('input', function() {
+                        self.updateParamLabel('pad', slider.dataset.setting, parseInt(slider.value, 10));
+                    });
+                    slider.addEventListener('change', function() {
+                        self.setPadSetting(slider.dataset.setting, parseInt(slider.value, 10));
+                    });
+                });
+                document.getElementById('pad-settings-close').addEventListener('click', function() { self.closePadSettings(); });
+                
+                // Distortion and send effects (option groups and sliders name their value in data-effect)
+                document.getElementById('fx-button').addEventListener('click', function() { self.openFxModal(); });
+                document.querySelectorAll('#fx-modal .option-group').forEach(function(group) {
+                    group.querySelectorAll('.slicer-btn').forEach(function(btn) {
+                        btn.addEventListener('click', function() {
+                            self.selectOptionButton(btn);
+                            self.setEffectValue(group.dataset.effect, btn.dataset.value);
+                        });
+                    });
+                });
+                document.querySelectorAll('#fx-modal .pad-param-slider').forEach(function(slider) {
+                    slider.addEventListener('input', function() {
+                        self.updateParamLabel('fx', slider.dataset.effect, parseInt(slider.value, 10));
+                    });
+                    slider.addEventListener('change', function() {
+                        self.setEffectValue(slider.dataset.effect, parseInt(slider.value, 10));
+                    });
+                });
+                document.getElementById('fx-close').addEventListener('click', function() { self.closeFxModal(); });
+                
+                // Master dynamics (compressor sliders name their value in data-effect)
+                document.getElementById('dyn-button').addEventListener('click', function() { self.openDynamicsModal(); });
+                document.querySelectorAll('#dyn-modal .pad-param-slider').forEach(function(slider) {
+                    slider.addEventListener('input', function() {
+                        self.updateParamLabel('dyn', slider.dataset.effect, parseInt(slider.value, 10));
+                    });
+                    slider.addEventListener('change', function() {
+                        self.setEffectValue(slider.dataset.effect, parseInt(slider.value, 10));
+                    });
+                });
+                document.getElementById('dyn-close').addEventListener('click', function() { self.closeDynamicsModal(); });
+                
+                // Master EQ (sliders and kill buttons name their value in data-effect)
+                document.getElementById('eq-button').addEventListener('click', function() { self.openEqModal(); });
+                document.querySelectorAll('#eq-modal .pad-param-slider').forEach(function(slider) {
+                    slider.addEventListener('input', function() {
+                        self.updateParamLabel('eq', slider.dataset.effect, parseInt(slider.value, 10));
+                    });
+                    slider.addEventListener('change', function() {
+                        self.setEffectValue(slider.dataset.effect, parseInt(slider.value, 10));
+                    });
+                });
+                document.querySelectorAll('#eq-kills .slicer-btn').forEach(function(btn) {
+                    btn.addEventListener('click', function() {
+                        const killed = !self.effectsValues[btn.dataset.effect];
+                        btn.classList.toggle('selected', killed);
+                        self.setEffectValue(btn.dataset.effect, killed);
+                    });
+                });
+                document.getElementById('eq-learn').addEventListener('click', function() { self.midiMapping.setLearnArmed(!self.midiMapping.learnArmed); });
+                document.getElementById('eq-close').addEventListener('click', function() { self.closeEqModal(); });
+                
+                // MIDI map (note presets, note/CC learn, JSON export/import)
+                document.getElementById('midi-map-button').addEventListener('click', function() {
+                    if (self.midiMapping.learnArmed) {
+                        self.midiMapping.setLearnArmed(false);
+                    } else {
+                        self.openMidiMapModal();
+                    }
+                });
+                document.querySelectorAll('#midi-map-preset .slicer-btn').forEach(function(btn) {
+                    btn.addEventListener('click', function() {
+                        self.midiMapping.applyPreset(btn.dataset.value);
+                        self.updateMidiMapDisplay();
+                    });
+                });
+                document.getElementById('midi-map-learn').addEventListener('click', function() {
+                    self.midiMapping.setLearnArmed(true);
+                    self.closeMidiMapModal();
+                });
+                document.querySelectorAll('#midi-cc-mode .slicer-btn').forEach(function(btn) {
+                    btn.addEventListener('click', function() {
+                        self.selectOptionButton(btn);
+                        self.midiMapping.learnMode = btn.dataset.value;
+                    });
+                });
+                document.querySelectorAll('#midi-clock-mode .slicer-btn').forEach(function(btn) {
+                    btn.addEventListener('click', function() {
+                        self.selectOptionButton(btn);
+                        self.midiClock.setMode(btn.dataset.value);
+                    });
+                });
+                document.getElementById('midi-output-list').addEventListener('click', function(e) {
+                    const btn = e.target.closest('.slicer-btn');
+                    const output = btn && self.midiAccess && self.midiAccess.outputs.get(btn.parentElement.dataset.output);
+                    if (!output) return;
+                    
+                    if (btn.classList.contains('midi-clock-output')) {
+                        btn.classList.toggle('selected', self.midiClock.toggleClockOutput(output));
+                        return;
+                    }
+                    self.selectOptionButton(btn);
+                    self.midiOutput.setDeviceProfile(output, btn.dataset.value);
+                });
+                document.getElementById('midi-map-export').addEventListener('click', function() { self.midiMapping.exportMapping(); });
+                document.getElementById('midi-map-import').addEventListener('click', function() { self.midiMapping.openImportDialog(); });
+                document.getElementById('midi-map-close').addEventListener('click', function() { self.closeMidiMapModal(); });
+                
+                // Pattern length and time signature buttons
+                document.getElementById('pattern-bars-up').addEventListener('click', function() { self.changePatternLength(1); });
+                document.getElementById('pattern-bars-down').addEventListener('click', function() { self.changePatternLength(-1); });
+                document.getElementById('pattern-bars-display').addEventListener('click', function() { self.cyclePatternLength(); });
+                document.getElementById('time-signature').addEventListener('click', function() { self.cycleTimeSignature(); });
+                
+                // Pattern bank and song chain buttons
+                document.getElementById('pattern-prev').addEventListener('click', function() { self.stepPattern(-1); });
+                document.getElementById('pattern-next').addEventListener('click', function() { self.stepPattern(1); });
+                document.getElementById('song-button').addEventListener('click', function() { self.openSongModal(); });
+                document.getElementById('song-add').addEventListener('click', function() { self.addSongStep(); });
+                document.getElementById('song-remove').addEventListener('click', function() { self.removeSongStep(); });
+                document.getElementById('song-clear').addEventListener('click', function() { self.clearSong(); });
+                document.getElementById('song-toggle').addEventListener('click', function() { self.toggleSongMode(); });
+                document.getElementById('song-close').addEventListener('click', function() { self.closeSongModal(); });
+                
                 // Bank selection buttons
                 document.getElementById('bank-a').addEventListener('click', function() { self.selectBank('A'); });
                 document.getElementById('bank-b').addEventListener('click', function() { self.selectBank('B'); });
@@ -802,21 +3627,17 @@
                     
                     this.audioContext = new AudioContextClass(audioContextOptions);
                     
-                    // Check audioWorklet compatibility after creating the instance
-                    try {
-                        if (this.audioContext && typeof this.audioContext.audioWorklet !== 'undefined') {
-                            console.log('[OK] audioWorklet available for latency optimization');
-                        } else {
-                            console.log('[WARN] audioWorklet not available, using standard configuration');
-                        }
-                    } catch (e) {
-                        console.log('[WARN] audioWorklet not available in this browser:', e.message);
-                    }
-                    
                     // OPTIMIZATION: Configure context for minimum latency
-                    if (this.audioContext.state === 'suspended') {
-                        await this.audioContext.resume();
+                    // Resume before any await so it still runs inside the click's user activation
+                    const resumed = this.audioContext.state === 'suspended' ? this.audioContext.resume() : Promise.resolve();
+                    
+                    // Load the bitcrusher worklet before the master chain is built around it
+                    if (await this.loadAudioWorklets(this.audioContext)) {
+                        console.log('[OK] audioWorklet available, bitcrusher loaded');
+                    } else {
+                        this.logToTerminal('Bitcrusher unavailable (no audioWorklet support).', 'warning');
                     }
+                    await resumed;
                     
                     // OPTIMIZATION: Pre-create audio nodes to reduce latency
                     this.preCreateAudioNodes();
@@ -845,10 +3666,14 @@
                     
                     // Initialize components
                     this.createPadGrid();
-                    // AUTO-LOAD: Load GitHub samples into banks A and B
-                    console.log('[DEBUG] About to call loadAllSamples()...');
-                    this.loadAllSamples().then(function() {
-                        console.log('[DEBUG] loadAllSamples() completed successfully');
+                    // RESTORE: Use the kit stored in IndexedDB, otherwise auto-load GitHub samples into banks A and B
+                    console.log('[DEBUG] About to restore stored kit...');
+                    this.restoreStoredKit().then(function(restored) {
+                        if (restored) return;
+                        console.log('[DEBUG] No stored kit, about to call loadAllSamples()...');
+                        return self.loadAllSamples();
+                    }).then(function() {
+                        console.log('[DEBUG] Sample loading completed successfully');
                         
                         // Synchronize samples with bankSamples after loading
                         console.log('[DEBUG] Before synchronization:');
@@ -880,7 +3705,7 @@
                         self.logToTerminal('All samples loaded. Ready to play.', 'info');
                         self.logToTerminal('EDITOR FIXED: Samples can now be edited (GitHub + Microphone)', 'info');
                     }).catch(function(error) {
-                        console.error('[DEBUG] Error in loadAllSamples():', error);
+                        console.error('[DEBUG] Error loading samples:', error);
                     });
                     
                 } catch (error) {
@@ -889,6 +3714,89 @@
                 }
             }
             
+            /**
+             * Load the AudioWorklet processors into a context
+             * @method loadAudioWorklets
+             * @param {BaseAudioContext} context - Live AudioContext or OfflineAudioContext
+             * @returns {Promise<boolean>} Whether the bitcrusher can be used in this context
+             * @description Every context needs its own addModule() call, so offline bounces load it too
+             */
+            async loadAudioWorklets(context) {
+                if (this.workletContexts.has(context)) return true;
+                if (!context.audioWorklet || typeof AudioWorkletNode === 'undefined') return false;
+                
+                try {
+                    await context.audioWorklet.addModule(BITCRUSHER_WORKLET_URL);
+                    this.workletContexts.add(context);
+                    return true;
+                } catch (error) {
+                    console.warn('[WARN] Could not load ' + BITCRUSHER_WORKLET_URL + ':', error);
+                    return false;
+                }
+            }
+            
+            /**
+             * Create a bitcrusher node
+             * @method createBitcrusher
+             * @param {BaseAudioContext} context - Context with the worklet loaded
+             * @param {number} anchorTime - Audio time the hold grid starts at (voice start, or sequence start)
+             * @returns {AudioWorkletNode|null} Bitcrusher (pass-through until configured), or null without worklet support
+             */
+            createBitcrusher(context, anchorTime = 0) {
+                if (!this.workletContexts.has(context)) return null;
+                return new AudioWorkletNode(context, 'bitcrusher', {
+                    processorOptions: { anchorFrame: Math.round(anchorTime * context.sampleRate) }
+                });
+            }
+            
+            /**
+             * Move a bitcrusher's hold grid to start at an audio time
+             * @method anchorBitcrusher
+             * @param {AudioWorkletNode} node - Node from createBitcrusher()
+             * @param {number} anchorTime - Audio time the hold grid starts at
+             * @description The master crusher lives as long as the context, so playback re-anchors it to
+             * sequenceStartTime; bounces anchor theirs to the loop start and hold the same samples
+             */
+            anchorBitcrusher(node, anchorTime) {
+                node.port.postMessage({ anchorFrame: Math.round(anchorTime * node.context.sampleRate) });
+            }
+            
+            /**
+             * Let a bitcrusher's processor stop and the node be collected
+             * @method releaseBitcrusher
+             * @param {AudioWorkletNode} node - Node from createBitcrusher()
+             * @description The processor keeps running until released (it must, to outlive quanta
+             * without input), so per-voice crushers are released when their voice ends
+             */
+            releaseBitcrusher(node) {
+                node.disconnect();
+                node.port.postMessage({ release: true });
+            }
+            
+            /**
+             * Set a bitcrusher's depth and hold rate
+             * @method setBitcrusher
+             * @param {AudioWorkletNode} node - Node from createBitcrusher()
+             * @param {number} bits - Bit depth (1-16, 16 = off)
+             * @param {number} rateSetting - Hold rate setting (0-100, 100 = off)
+             */
+            setBitcrusher(node, bits, rateSetting) {
+                const now = node.context.currentTime;
+                node.parameters.get('bits').setValueAtTime(bits, now);
+                node.parameters.get('rate').setValueAtTime(this.getCrushRate(rateSetting, node.context.sampleRate), now);
+            }
+            
+            /**
+             * Map a crushRate setting to a hold rate
+             * @method getCrushRate
+             * @param {number} rateSetting - Hold rate setting (0-100)
+             * @param {number} sampleRate - Context sample rate (reached at 100)
+             * @returns {number} Hold rate in Hz (exponential CRUSH_MIN_RATE to sampleRate)
+             */
+            getCrushRate(rateSetting, sampleRate) {
+                return CRUSH_MIN_RATE * Math.pow(sampleRate / CRUSH_MIN_RATE, rateSetting / 100);
+            }
+            
             /**
              * Pre-create audio nodes to minimize latency
              * @method preCreateAudioNodes
@@ -918,61 +3826,400 @@
             }
             
             /**
-             * Create the master audio effects processing chain
-             * @method createMasterEffectsChain
-             * @description Sets up the main effects chain: Master Output → Volume → Filter → Distortion → Destination
+             * Create the master audio effects processing chain
+             * @method createMasterEffectsChain
+             * @description Sets up the main effects chain: Master Output → Volume → Filter → Distortion → Destination
+             */
+            createMasterEffectsChain() {
+                // Crear nodos de efectos en orden de procesamiento
+                const chain = this.buildEffectsChain(this.audioContext);
+                
+                this.masterGain = chain.masterGain;
+                this.masterFilter = chain.masterFilter;
+                this.masterDistortion = chain.masterDistortion;
+                this.masterEq = chain.masterEq;
+                this.masterCrusher = chain.masterCrusher;
+                this.distortionPreGain = chain.distortionPreGain;
+                this.distortionPostGain = chain.distortionPostGain;
+                this.sendBus = chain.sends;
+                this.masterCompressor = chain.masterCompressor;
+                this.compressorMakeup = chain.compressorMakeup;
+                this.masterLimiter = chain.masterLimiter;
+                this.limiterClip = chain.limiterClip;
+                
+                chain.output.connect(this.audioContext.destination);
+                
+                // Aplicar valores iniciales de efectos
+                this.warmDistortionCurves(this.effectsValues.distortionModel);
+                this.applyInitialEffectsValues();
+                this.startGainReductionMeter();
+                
+                console.log('[EFFECTS] Master effects chain initialized with Distortion');
+            }
+            
+            /**
+             * Build a master effects chain in any audio context
+             * @method buildEffectsChain
+             * @param {BaseAudioContext} context - Live AudioContext or OfflineAudioContext
+             * @returns {Object} Chain nodes plus `input` and `output` endpoints
+             * @description Creates Master Gain → Master Filter → EQ → Bitcrusher → PreGain → Distortion → PostGain → Compressor → Makeup → Limiter → Clip,
+             * shared by live playback and offline renders
+             */
+            buildEffectsChain(context) {
+                const chain = {
+                    masterGain: context.createGain(),
+                    masterFilter: context.createBiquadFilter(),
+                    masterDistortion: context.createWaveShaper() // Nodo principal para Distortion
+                };
+                
+                // Configurar filtro inicial
+                chain.masterFilter.type = 'lowpass';
+                chain.masterFilter.frequency.value = 20000; // Frecuencia máxima inicial
+                chain.masterFilter.Q.value = 1.0;
+                
+                // Configurar Distortion con curvas dinámicas
+                this.setupDistortionChain(chain, context);
+                
+                // Isolator EQ right after the filter, then the bitcrusher (skipped without AudioWorklet support)
+                this.setupEqChain(chain, context);
+                chain.masterCrusher = this.createBitcrusher(context);
+                
+                // Conectar cadena de efectos: Master Output → Master Gain → Master Filter → EQ → PreGain → Master Distortion → PostGain → Destination
+                chain.masterGain.connect(chain.masterFilter);
+                chain.masterFilter.connect(chain.masterEq.input);
+                if (chain.masterCrusher) {
+                    chain.masterEq.output.connect(chain.masterCrusher);
+                    chain.masterCrusher.connect(chain.distortionPreGain);
+                } else {
+                    chain.masterEq.output.connect(chain.distortionPreGain);
+                }
+                chain.distortionPreGain.connect(chain.masterDistortion);
+                chain.masterDistortion.connect(chain.distortionPostGain);
+                
+                // Dynamics stage keeps stacked pads and distortion pre-gain from clipping the destination
+                this.setupDynamicsChain(chain, context);
+                chain.distortionPostGain.connect(chain.masterCompressor);
+                chain.masterCompressor.connect(chain.compressorMakeup);
+                chain.compressorMakeup.connect(chain.masterLimiter);
+                chain.masterLimiter.connect(chain.limiterClip);
+                
+                chain.input = chain.masterGain;
+                chain.output = chain.limiterClip;
+                
+                // Aux sends return into the head of the chain
+                chain.sends = this.buildSendBus(context, chain.input);
+                
+                return chain;
+            }
+            
+            /**
+             * Build the aux send bus (tempo-synced delay and reverb)
+             * @method buildSendBus
+             * @param {BaseAudioContext} context - Live AudioContext or OfflineAudioContext
+             * @param {AudioNode} returnNode - Node both returns feed (the master chain input)
+             * @returns {Object} { delayInput, delay, delayFilter, delayFeedback, delayReturn, reverbInput, reverb, reverbReturn }
+             * @description delayInput → delay → tone filter → return, with the filter feeding back into the delay;
+             * reverbInput → convolver (generated impulse) → return
+             */
+            buildSendBus(context, returnNode) {
+                const sends = {
+                    delayInput: context.createGain(),
+                    delay: context.createDelay(MAX_DELAY_TIME),
+                    delayFilter: context.createBiquadFilter(),
+                    delayFeedback: context.createGain(),
+                    delayReturn: context.createGain(),
+                    reverbInput: context.createGain(),
+                    reverb: context.createConvolver(),
+                    reverbReturn: context.createGain()
+                };
+                
+                sends.delayFilter.type = 'lowpass';
+                sends.delayInput.connect(sends.delay);
+                sends.delay.connect(sends.delayFilter);
+                sends.delayFilter.connect(sends.delayFeedback);
+                sends.delayFeedback.connect(sends.delay);
+                sends.delayFilter.connect(sends.delayReturn);
+                sends.delayReturn.connect(returnNode);
+                
+                sends.reverbInput.connect(sends.reverb);
+                sends.reverb.connect(sends.reverbReturn);
+                sends.reverbReturn.connect(returnNode);
+                
+                return sends;
+            }
+            
+            /**
+             * Get the delay time for the current tempo
+             * @method getDelayTime
+             * @returns {number} Seconds for effectsValues.delayDivision at the current BPM
+             */
+            getDelayTime() {
+                const beats = DELAY_DIVISIONS[this.effectsValues.delayDivision] || DELAY_DIVISIONS['1/8.'];
+                return Math.min(MAX_DELAY_TIME, (60 / this.bpm) * beats);
+            }
+            
+            /**
+             * Glide the live delay to the current tempo
+             * @method updateDelayTime
+             * @description Called whenever the BPM changes so echoes stay on the grid
+             */
+            updateDelayTime() {
+                if (!this.sendBus) return;
+                
+                const now = this.audioContext.currentTime;
+                this.sendBus.delay.delayTime.setTargetAtTime(this.getDelayTime(), now, 0.02);
+            }
+            
+            /**
+             * Get a reverb impulse response for a decay setting
+             * @method getReverbImpulse
+             * @param {BaseAudioContext} context - Context whose sample rate the impulse must match
+             * @param {number} decaySetting - effectsValues.reverbDecay (0-100)
+             * @returns {AudioBuffer} Stereo decaying noise (cached until decay or sample rate change)
+             */
+            getReverbImpulse(context, decaySetting) {
+                const cached = this.reverbImpulse;
+                if (cached && cached.decay === decaySetting && cached.sampleRate === context.sampleRate) {
+                    return cached.buffer;
+                }
+                
+                const seconds = REVERB_MIN_DECAY + (REVERB_MAX_DECAY - REVERB_MIN_DECAY) * decaySetting / 100;
+                const length = Math.floor(seconds * context.sampleRate);
+                const buffer = context.createBuffer(2, length, context.sampleRate);
+                for (let c = 0; c < 2; c++) {
+                    const data = buffer.getChannelData(c);
+                    for (let i = 0; i < length; i++) {
+                        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+                    }
+                }
+                
+                this.reverbImpulse = { decay: decaySetting, sampleRate: context.sampleRate, buffer: buffer };
+                return buffer;
+            }
+            
+            /**
+             * Apply the send effect settings to a chain
+             * @method applySendSettings
+             * @param {Object} chain - Chain with `sends` (defaults to the live master chain)
+             * @description The live delay time glides (updateDelayTime), and the convolver only gets a new
+             * impulse when the decay or sample rate changed, since setting its buffer cuts the reverb tail
+             */
+            applySendSettings(chain = this.getMasterChain()) {
+                const sends = chain.sends;
+                if (!sends) return;
+                
+                const values = this.effectsValues;
+                if (sends === this.sendBus) {
+                    this.updateDelayTime();
+                } else {
+                    sends.delay.delayTime.value = this.getDelayTime();
+                }
+                sends.delayFeedback.gain.value = MAX_DELAY_FEEDBACK * values.delayFeedback / 100;
+                sends.delayFilter.frequency.value = this.getFilterCutoff(values.delayTone);
+                sends.delayReturn.gain.value = values.delayLevel / 100;
+                const impulse = this.getReverbImpulse(sends.reverb.context, values.reverbDecay);
+                if (sends.reverb.buffer !== impulse) {
+                    sends.reverb.buffer = impulse;
+                }
+                sends.reverbReturn.gain.value = values.reverbLevel / 100;
+            }
+            
+            /**
+             * Connect a voice to the aux sends
+             * @method connectSends
+             * @param {BaseAudioContext} context - Context owning the voice
+             * @param {AudioNode} node - Voice output (after the pad stage)
+             * @param {Object} settings - Pad settings (sendDelay, sendReverb)
+             * @param {Object} sends - Send bus from buildSendBus() (no sends when null)
+             */
+            connectSends(context, node, settings, sends) {
+                if (!sends) return;
+                
+                [['sendDelay', sends.delayInput], ['sendReverb', sends.reverbInput]].forEach(([key, input]) => {
+                    if (!settings[key]) return;
+                    const sendGain = context.createGain();
+                    sendGain.gain.value = settings[key] / 100;
+                    node.connect(sendGain);
+                    sendGain.connect(input);
+                });
+            }
+            
+            /**
+             * Get the live master chain nodes
+             * @method getMasterChain
+             * @returns {Object} Live chain nodes in the same shape as buildEffectsChain()
+             */
+            getMasterChain() {
+                return {
+                    masterGain: this.masterGain,
+                    masterFilter: this.masterFilter,
+                    masterDistortion: this.masterDistortion,
+                    masterEq: this.masterEq,
+                    masterCrusher: this.masterCrusher,
+                    distortionPreGain: this.distortionPreGain,
+                    distortionPostGain: this.distortionPostGain,
+                    masterCompressor: this.masterCompressor,
+                    compressorMakeup: this.compressorMakeup,
+                    masterLimiter: this.masterLimiter,
+                    limiterClip: this.limiterClip,
+                    sends: this.sendBus,
+                    input: this.masterGain,
+                    output: this.limiterClip
+                };
+            }
+            
+            /**
+             * Setup the master isolator EQ
+             * @method setupEqChain
+             * @param {Object} chain - Chain being built by buildEffectsChain()
+             * @param {BaseAudioContext} context - Context owning the chain
+             * @description Fourth-order Linkwitz-Riley split: low = LP(lowFreq) → allpass(highFreq),
+             * rest = HP(lowFreq) → { mid = LP(highFreq), high = HP(highFreq) }. The allpass gives the low band the
+             * same phase as mid + high, so the bands sum flat with every gain at 0 dB.
+             */
+            setupEqChain(chain, context) {
+                const filter = (type, count) => {
+                    const filters = [];
+                    for (let i = 0; i < count; i++) {
+                        filters.push(context.createBiquadFilter());
+                        filters[i].type = type;
+                        filters[i].Q.value = Math.SQRT1_2;
+                        if (i > 0) filters[i - 1].connect(filters[i]);
+                    }
+                    return filters;
+                };
+                
+                const eq = {
+                    input: context.createGain(),
+                    output: context.createGain(),
+                    lowFilters: [],   // Filters tuned to eqLowFreq
+                    highFilters: []   // Filters tuned to eqHighFreq
+                };
+                const lowPass = filter('lowpass', 2);
+                const lowAllpass = filter('allpass', 1);
+                const restPass = filter('highpass', 2);
+                const midPass = filter('lowpass', 2);
+                const highPass = filter('highpass', 2);
+                eq.lowFilters = lowPass.concat(restPass);
+                eq.highFilters = lowAllpass.concat(midPass, highPass);
+                
+                EQ_BANDS.forEach(band => {
+                    eq[band] = context.createGain();
+                    eq[band].connect(eq.output);
+                });
+                
+                eq.input.connect(lowPass[0]);
+                lowPass[1].connect(lowAllpass[0]);
+                lowAllpass[0].connect(eq.eqLow);
+                
+                eq.input.connect(restPass[0]);
+                restPass[1].connect(midPass[0]);
+                restPass[1].connect(highPass[0]);
+                midPass[1].connect(eq.eqMid);
+                highPass[1].connect(eq.eqHigh);
+                
+                chain.masterEq = eq;
+            }
+            
+            /**
+             * Apply the isolator settings to a chain
+             * @method applyEqSettings
+             * @param {Object} chain - Chain with the EQ stage (defaults to the live master chain)
+             */
+            applyEqSettings(chain = this.getMasterChain()) {
+                const eq = chain.masterEq;
+                if (!eq) return;
+                
+                const values = this.effectsValues;
+                const now = eq.input.context.currentTime;
+                EQ_BANDS.forEach(band => {
+                    const gain = values[band + 'Kill'] ? 0 : Math.pow(10, values[band] / 20);
+                    eq[band].gain.setTargetAtTime(gain, now, EQ_SMOOTHING);
+                });
+                eq.lowFilters.forEach(filter => filter.frequency.setTargetAtTime(values.eqLowFreq, now, EQ_SMOOTHING));
+                eq.highFilters.forEach(filter => filter.frequency.setTargetAtTime(values.eqHighFreq, now, EQ_SMOOTHING));
+            }
+            
+            /**
+             * Setup the master dynamics stage
+             * @method setupDynamicsChain
+             * @param {Object} chain - Chain being built by buildEffectsChain()
+             * @param {BaseAudioContext} context - Context owning the chain
+             * @description Compressor (settings from effectsValues) with makeup gain, then a fast limiter at
+             * LIMITER_THRESHOLD and a linear WaveShaper that hard-clips anything left above 0 dBFS
+             */
+            setupDynamicsChain(chain, context) {
+                chain.masterCompressor = context.createDynamicsCompressor();
+                chain.compressorMakeup = context.createGain();
+                
+                chain.masterLimiter = context.createDynamicsCompressor();
+                chain.masterLimiter.threshold.value = LIMITER_THRESHOLD;
+                chain.masterLimiter.knee.value = 0;
+                chain.masterLimiter.ratio.value = 20;
+                chain.masterLimiter.attack.value = 0;
+                chain.masterLimiter.release.value = LIMITER_RELEASE;
+                
+                // WaveShaper clamps input outside [-1, 1] to the curve ends
+                chain.limiterClip = context.createWaveShaper();
+                chain.limiterClip.curve = new Float32Array([-1, 1]);
+            }
+            
+            /**
+             * Apply the compressor settings to a chain
+             * @method applyDynamicsSettings
+             * @param {Object} chain - Chain with the dynamics stage (defaults to the live master chain)
+             */
+            applyDynamicsSettings(chain = this.getMasterChain()) {
+                const compressor = chain.masterCompressor;
+                if (!compressor) return;
+                
+                const values = this.effectsValues;
+                compressor.threshold.value = values.compThreshold;
+                compressor.ratio.value = values.compRatio;
+                compressor.attack.value = values.compAttack / 1000;
+                compressor.release.value = values.compRelease / 1000;
+                chain.compressorMakeup.gain.value = Math.pow(10, values.compMakeup / 20);
+            }
+            
+            /**
+             * Refresh the gain-reduction readout
+             * @method startGainReductionMeter
+             * @description Shows compressor + limiter reduction (dB) on the GR display every GR_METER_INTERVAL
              */
-            createMasterEffectsChain() {
-                // Crear nodos de efectos en orden de procesamiento
-
-                this.masterGain = this.audioContext.createGain();
-                this.masterFilter = this.audioContext.createBiquadFilter();
-                this.masterDistortion = this.audioContext.createWaveShaper(); // Nodo principal para Distortion
-                
-                // Configurar filtro inicial
-                this.masterFilter.type = 'lowpass';
-                this.masterFilter.frequency.value = 20000; // Frecuencia máxima inicial
-                this.masterFilter.Q.value = 1.0;
-                
-                // Configurar Distortion con curvas dinámicas
-                this.setupDistortionChain();
-                
-                // Conectar cadena de efectos: Master Output → Master Gain → Master Filter → PreGain → Master Distortion → PostGain → Destination
-
-                this.masterGain.connect(this.masterFilter);
-                this.masterFilter.connect(this.distortionPreGain);
-                this.distortionPreGain.connect(this.masterDistortion);
-                this.masterDistortion.connect(this.distortionPostGain);
-                this.distortionPostGain.connect(this.audioContext.destination);
+            startGainReductionMeter() {
+                if (this.gainReductionTimer) {
+                    clearInterval(this.gainReductionTimer);
+                }
                 
-                // Aplicar valores iniciales de efectos
-                this.applyInitialEffectsValues();
+                const meter = document.getElementById('gain-reduction');
+                if (!meter) return;
                 
-                console.log('[EFFECTS] Master effects chain initialized with Distortion');
+                this.gainReductionTimer = setInterval(() => {
+                    const reduction = this.masterCompressor.reduction + this.masterLimiter.reduction;
+                    meter.textContent = 'GR ' + (reduction < -0.05 ? reduction.toFixed(1) : '0.0');
+                    meter.classList.toggle('gr-active', this.masterLimiter.reduction < -0.05);
+                }, GR_METER_INTERVAL);
             }
             
             /**
              * Setup the distortion effects chain with dynamic curves
              * @method setupDistortionChain
+             * @param {Object} chain - Chain being built by buildEffectsChain()
+             * @param {BaseAudioContext} context - Context owning the chain
              * @description Configures WaveShaper nodes and gain controls for distortion effects
              */
-            setupDistortionChain() {
+            setupDistortionChain(chain, context) {
                 // Configurar WaveShaper inicial
-                this.masterDistortion.curve = this.createDistortionCurve(0);
+                chain.masterDistortion.curve = this.getDistortionCurve(this.effectsValues.distortionModel, 0);
+                chain.masterDistortion.oversample = this.effectsValues.distortionOversample;
                 
                 // Pre-gain para control de entrada
-                this.distortionPreGain = this.audioContext.createGain();
-                this.distortionPreGain.gain.value = 1.0;
+                chain.distortionPreGain = context.createGain();
+                chain.distortionPreGain.gain.value = 1.0;
                 
                 // Post-gain para control de salida
-                this.distortionPostGain = this.audioContext.createGain();
-                this.distortionPostGain.gain.value = 1.0;
-                
-                // Conectar pre-gain y post-gain
-                this.masterDistortion.connect(this.distortionPostGain);
-                
-                // Aplicar configuración inicial
-                this.updateDistortionIntensity(0);
+                chain.distortionPostGain = context.createGain();
+                chain.distortionPostGain.gain.value = 1.0;
 
                 console.log('[DISTORTION] Distortion chain initialized with dynamic curves');
             }
@@ -981,54 +4228,111 @@
              * Create dynamic distortion curve for WaveShaper node
              * @method createDistortionCurve
              * @param {number} amount - Distortion intensity (0-100)
+             * @param {string} model - One of DISTORTION_MODELS (defaults to 'tube')
              * @returns {Float32Array} Distortion curve for WaveShaper
-             * @description Generates a distortion curve that intensifies with the amount parameter
+             * @description Generates a distortion curve that intensifies with the amount parameter.
+             * tube: original soft clip, hard: clamp, fold: foldback, asym: biased tanh (even harmonics), tape: arctan
              */
-            createDistortionCurve(amount) {
+            createDistortionCurve(amount, model = 'tube') {
                 const k = typeof amount === 'number' ? amount : 50;
-                const n_samples = 44100;
+                const drive = 1 + (DISTORTION_MAX_DRIVE - 1) * k / 100;
+                const bias = 0.2;
+                const n_samples = DISTORTION_CURVE_SIZE;
                 const curve = new Float32Array(n_samples);
                 const deg = Math.PI / 180;
                 
                 for (let i = 0; i < n_samples; ++i) {
-                    const x = (i * 2) / n_samples - 1;
+                    const x = (i * 2) / (n_samples - 1) - 1;
                     
                     if (amount === 0) {
                         // Sin distorsión - curva lineal
                         curve[i] = x;
-                    } else {
-                        // Curva de distorsión suave que se intensifica con el valor
-                        curve[i] = (3 + k) * x * 20 * deg / (Math.PI + k * Math.abs(x));
+                        continue;
+                    }
+                    
+                    switch (model) {
+                        case 'hard':
+                            curve[i] = Math.max(-1, Math.min(1, x * drive));
+                            break;
+                        case 'fold': {
+                            // Triangle wave of the driven input: peaks fold back instead of clipping
+                            const t = x * drive;
+                            curve[i] = Math.abs((((t - 1) % 4) + 4) % 4 - 2) - 1;
+                            break;
+                        }
+                        case 'asym':
+                            curve[i] = (Math.tanh(drive * (x + bias)) - Math.tanh(drive * bias)) / (1 + Math.tanh(drive * bias));
+                            break;
+                        case 'tape':
+                            curve[i] = Math.atan(drive * x) / Math.atan(drive);
+                            break;
+                        default:
+                            // Curva de distorsión suave que se intensifica con el valor
+                            curve[i] = (3 + k) * x * 20 * deg / (Math.PI + k * Math.abs(x));
                     }
                 }
                 
                 return curve;
             }
             
+            /**
+             * Get a cached distortion curve
+             * @method getDistortionCurve
+             * @param {string} model - One of DISTORTION_MODELS
+             * @param {number} amount - Distortion intensity (0-100, integer)
+             * @returns {Float32Array} Curve shared by every WaveShaper using this model and amount
+             */
+            getDistortionCurve(model, amount) {
+                const key = model + ':' + amount;
+                if (!this.distortionCurves.has(key)) {
+                    this.distortionCurves.set(key, this.createDistortionCurve(amount, model));
+                }
+                return this.distortionCurves.get(key);
+            }
+            
+            /**
+             * Build every curve of a distortion model ahead of time
+             * @method warmDistortionCurves
+             * @param {string} model - One of DISTORTION_MODELS
+             * @description Keeps slider-2 input events free of array allocation
+             */
+            warmDistortionCurves(model) {
+                for (let amount = 0; amount <= 100; amount++) {
+                    this.getDistortionCurve(model, amount);
+                }
+            }
+            
             /**
              * Apply initial effects values to the audio chain
              * @method applyInitialEffectsValues
+             * @param {Object} chain - Chain to configure (defaults to the live master chain)
              * @description Sets up the initial state of all master effects (volume, filter, distortion, resonance)
              */
-            applyInitialEffectsValues() {
+            applyInitialEffectsValues(chain = this.getMasterChain()) {
                 try {
-                    if (this.masterGain && typeof this.effectsValues.volume === 'number' && isFinite(this.effectsValues.volume)) {
+                    if (chain.masterGain && typeof this.effectsValues.volume === 'number' && isFinite(this.effectsValues.volume)) {
                         const volumeValue = Math.max(0, Math.min(100, this.effectsValues.volume)) / 100;
-                        this.masterGain.gain.setValueAtTime(volumeValue, this.audioContext.currentTime);
+                        chain.masterGain.gain.setValueAtTime(volumeValue, chain.masterGain.context.currentTime);
                     }
-                    if (this.masterFilter && typeof this.effectsValues.filter === 'number' && isFinite(this.effectsValues.filter)) {
+                    if (chain.masterFilter && typeof this.effectsValues.filter === 'number' && isFinite(this.effectsValues.filter)) {
                         const filterValue = Math.max(0, Math.min(100, this.effectsValues.filter));
                         const freq = Math.exp(Math.log(20) + (filterValue / 100) * Math.log(20000/20));
-                        this.masterFilter.frequency.setValueAtTime(freq, this.audioContext.currentTime);
+                        chain.masterFilter.frequency.setValueAtTime(freq, chain.masterFilter.context.currentTime);
                         
                         if (typeof this.effectsValues.resonance === 'number' && isFinite(this.effectsValues.resonance)) {
                             const resonanceValue = Math.max(0, Math.min(100, this.effectsValues.resonance)) / 10;
-                            this.masterFilter.Q.setValueAtTime(resonanceValue, this.audioContext.currentTime);
+                            chain.masterFilter.Q.setValueAtTime(resonanceValue, chain.masterFilter.context.currentTime);
                         }
                     }
-                    if (this.masterDistortion && typeof this.effectsValues.distortion === 'number' && isFinite(this.effectsValues.distortion)) {
-                        this.updateDistortionIntensity(this.effectsValues.distortion);
+                    if (chain.masterDistortion && typeof this.effectsValues.distortion === 'number' && isFinite(this.effectsValues.distortion)) {
+                        this.updateDistortionIntensity(this.effectsValues.distortion, chain);
+                    }
+                    if (chain.masterCrusher) {
+                        this.setBitcrusher(chain.masterCrusher, this.effectsValues.crushBits, this.effectsValues.crushRate);
                     }
+                    this.applyEqSettings(chain);
+                    this.applySendSettings(chain);
+                    this.applyDynamicsSettings(chain);
                 } catch (error) {
                     console.error('Error applying initial effects values:', error);
                 }
@@ -1038,36 +4342,41 @@
              * Update distortion intensity for saturation effects
              * @method updateDistortionIntensity
              * @param {number} value - Distortion intensity (0-100)
+             * @param {Object} chain - Chain to update (defaults to the live master chain)
              * @description Updates the distortion curve and gain settings based on intensity value
              */
-            updateDistortionIntensity(value) {
-                if (!this.masterDistortion) return;
+            updateDistortionIntensity(value, chain = this.getMasterChain()) {
+                if (!chain.masterDistortion) return;
+
+                const now = chain.masterDistortion.context.currentTime;
+                const model = this.effectsValues.distortionModel;
+                chain.masterDistortion.oversample = this.effectsValues.distortionOversample;
 
                 // Clamp para evitar valores fuera de rango
                 const distortionIntensity = Math.min(Math.max(value / 100, 0), 1);
 
                 if (distortionIntensity === 0) {
                     // Sin distorsión - curva lineal (paso directo)
-                    this.masterDistortion.curve = this.createDistortionCurve(0);
+                    chain.masterDistortion.curve = this.getDistortionCurve(model, 0);
                     console.log('[DISTORTION] Bypass mode - clean signal');
                 } else {
                     // Con distorsión - curva dinámica basada en intensidad
                     const curveAmount = Math.floor(distortionIntensity * 100);
-                    this.masterDistortion.curve = this.createDistortionCurve(curveAmount);
+                    chain.masterDistortion.curve = this.getDistortionCurve(model, curveAmount);
                     
                     // Control de pre-gain para saturación
-                    if (this.distortionPreGain) {
+                    if (chain.distortionPreGain) {
                         const preGain = 1.0 + (distortionIntensity * 2); // 1x a 3x
-                        this.distortionPreGain.gain.setValueAtTime(preGain, this.audioContext.currentTime);
+                        chain.distortionPreGain.gain.setValueAtTime(preGain, now);
                     }
                     
                     // Control de post-gain para compensar
-                    if (this.distortionPostGain) {
+                    if (chain.distortionPostGain) {
                         const postGain = 1.0 / (1.0 + (distortionIntensity * 0.5)); // 1x a 0.67x
-                        this.distortionPostGain.gain.setValueAtTime(postGain, this.audioContext.currentTime);
+                        chain.distortionPostGain.gain.setValueAtTime(postGain, now);
                     }
                     
-                    console.log(`[DISTORTION] Active mode: ${value}% | Curve: ${curveAmount} | PreGain: ${(1.0 + (distortionIntensity * 2)).toFixed(1)}x | PostGain: ${(1.0 / (1.0 + (distortionIntensity * 0.5))).toFixed(2)}x`);
+                    console.log(`[DISTORTION] Active mode: ${value}% | Model: ${model} | Curve: ${curveAmount} | PreGain: ${(1.0 + (distortionIntensity * 2)).toFixed(1)}x | PostGain: ${(1.0 / (1.0 + (distortionIntensity * 0.5))).toFixed(2)}x`);
                 }
             }
             
@@ -1076,7 +4385,8 @@
              * @method applyMasterEffect
              * @param {string} sliderId - Identifier of the slider (slider-1, slider-2, etc.)
              * @param {number} value - Effect value (0-100)
-             * @description Processes slider input and applies corresponding audio effects
+             * @description Processes slider input and applies corresponding audio effects; during REC/DUB the
+             * move is also recorded as automation
              */
             applyMasterEffect(sliderId, value) {
                 try {
@@ -1089,6 +4399,10 @@
                     // Clamp value to valid range
                     const clampedValue = Math.max(0, Math.min(100, value));
                     
+                    if (this.isRecording && this.audioContext) {
+                        this.recordAutomationPoint(sliderId, clampedValue);
+                    }
+                    
                     switch(sliderId) {
                         case 'slider-1': // VOL
                             if (this.masterGain) {
@@ -1129,6 +4443,49 @@
                 }
             }
             
+            /**
+             * Sync slider positions with the stored effect values
+             * @method syncEffectSliders
+             * @description Moves slider-1..4 to effectsValues (used after loading a project)
+             */
+            syncEffectSliders() {
+                const sliderValues = {
+                    'slider-1': this.effectsValues.volume,
+                    'slider-2': this.effectsValues.distortion,
+                    'slider-3': this.effectsValues.filter,
+                    'slider-4': this.effectsValues.resonance
+                };
+                
+                for (const sliderId in sliderValues) {
+                    const slider = document.getElementById(sliderId);
+                    if (slider && typeof sliderValues[sliderId] === 'number') {
+                        slider.value = sliderValues[sliderId];
+                    }
+                }
+            }
+            
+            /**
+             * Download a Blob as a file
+             * @method downloadBlob
+             * @param {Blob} blob - File contents
+             * @param {string} fileName - Suggested file name
+             * @description Triggers a browser download through a temporary object URL
+             */
+            downloadBlob(blob, fileName) {
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = fileName;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                
+                // Give the browser time to start the download before releasing the URL
+                setTimeout(function() {
+                    URL.revokeObjectURL(url);
+                }, 1000);
+            }
+            
             /**
              * Get current effects system status for debugging
              * @method getEffectsStatus
@@ -1269,9 +4626,10 @@
             setupPadEventListeners(pad, padNumber) {
                 const self = this;
                 
-                // Mouse events
-                pad.addEventListener('click', function(e) {
+                // Mouse events (pressed on mousedown so gate pads can be held)
+                pad.addEventListener('mousedown', function(e) {
                     if (e.target.classList.contains('delete-pad-btn')) return;
+                    if (e.button !== 0) return;
                     e.preventDefault();
                     
                     console.log('[DEBUG] Pad clicked:', padNumber);
@@ -1290,6 +4648,12 @@
             // DELETE mode: Delete the selected pad
             self.deletePadSample(padNumber);
             self.deactivateDeletePadMode(); // Auto-deactivate after deletion
+        } else if (self.padSettingsMode) {
+            // PAD mode: Open the settings of the selected pad
+            self.openPadSettings(padNumber);
+        } else if (self.midiMapping.learnArmed) {
+            // MIDI learn: the next controller note plays this pad
+            self.midiMapping.setLearnPad(padNumber);
         } else if (self.isEditMode) {
             // EDIT mode: Select pad for editing
             console.log('[DEBUG] EDIT mode active - selecting pad for editing');
@@ -1326,10 +4690,24 @@
                             } else {
                                 // MIC mode not active - normal pad behavior
                                 self.padController.triggerPad(padNumber, 127, 'mouse');
+                                self.pointerHeldPad = padNumber;
                             }
         }
                 });
                 
+                // Pointer up (or leaving the pad while held) releases gate pads
+                pad.addEventListener('mouseup', function(e) {
+                    if (self.pointerHeldPad !== padNumber) return;
+                    self.pointerHeldPad = null;
+                    self.padController.releasePad(padNumber, 'mouse');
+                });
+                
+                pad.addEventListener('mouseleave', function(e) {
+                    if (self.pointerHeldPad !== padNumber) return;
+                    self.pointerHeldPad = null;
+                    self.padController.releasePad(padNumber, 'mouse');
+                });
+                
                 // Touch events
                 pad.addEventListener('touchstart', function(e) {
                     if (e.target.classList.contains('delete-pad-btn')) return;
@@ -1342,6 +4720,12 @@
                     // DELETE mode: Delete the selected pad
                     self.deletePadSample(padNumber);
                     self.deactivateDeletePadMode(); // Auto-deactivate after deletion
+                } else if (self.padSettingsMode) {
+                    // PAD mode: Open the settings of the selected pad
+                    self.openPadSettings(padNumber);
+                } else if (self.midiMapping.learnArmed) {
+                    // MIDI learn: the next controller note plays this pad
+                    self.midiMapping.setLearnPad(padNumber);
                 } else if (self.isEditMode) {
                     // EDIT mode: Select pad for editing
                     self.selectPadForEditing(padNumber);
@@ -1370,12 +4754,12 @@
                             }
                         } else {
                             console.log('[DEBUG] MIC mode active but pad has sample (touch) - playing sample instead');
-                            self.padController.triggerPad(padNumber, 127, 'touch');
+                            self.padController.triggerPad(padNumber, self.getTouchVelocity(e), 'touch');
                             self.touchedPads.add(padNumber);
                         }
                     } else {
                         // MIC mode not active - normal pad behavior
-                        self.padController.triggerPad(padNumber, 127, 'touch');
+                        self.padController.triggerPad(padNumber, self.getTouchVelocity(e), 'touch');
                         self.touchedPads.add(padNumber);
                     }
                 }
@@ -1383,11 +4767,15 @@
                 
                 pad.addEventListener('touchend', function(e) {
                     if (e.target.classList.contains('delete-pad-btn')) return;
-                    self.touchedPads.delete(padNumber);
+                    if (self.touchedPads.delete(padNumber)) {
+                        self.padController.releasePad(padNumber, 'touch');
+                    }
                 });
                 
                 pad.addEventListener('touchcancel', function(e) {
-                    self.touchedPads.delete(padNumber);
+                    if (self.touchedPads.delete(padNumber)) {
+                        self.padController.releasePad(padNumber, 'touch');
+                    }
                 });
             }
             
@@ -1396,89 +4784,702 @@
              * @method playPad
              * @param {number} padNumber - The pad number to play (1-16)
              * @param {number} when - When to start playback (audio timeline)
-             * @param {number} offset - Offset within the sample to start from
-             * @param {number} duration - Duration to play (optional)
-             * @description Optimized audio playback with timeline support and minimum latency
+             * @param {Object} options - Playback options
+             * @param {string} options.bank - Bank to play from (defaults to currentBank)
+             * @param {AudioBuffer|Object} options.sample - Sample to play (defaults to the bank's pad sample)
+             * @param {boolean} options.scheduled - True when triggered by the sequencer (not recorded)
+             * @param {number} options.velocity - Hit velocity 1-127 (defaults to DEFAULT_VELOCITY)
+             * @description Optimized audio playback with timeline support and minimum latency.
+             * Never changes currentBank, so the sequencer can play any bank while the user plays live.
              */
-            playPad(padNumber, when = 0, offset = 0, duration = undefined) {
-                if (!this.validatePlayback(padNumber)) return;
+            playPad(padNumber, when = 0, options = {}) {
+                const bank = options.bank || this.currentBank;
+                const sample = options.sample || this.getPadSample(bank, padNumber);
+                const velocity = options.velocity || DEFAULT_VELOCITY;
+                
+                if (!this.validatePlayback(padNumber, bank, sample)) return;
                 
                 // NEW: Debug logging to track duplicate calls
                 const timestamp = this.audioContext ? this.audioContext.currentTime.toFixed(3) : '0.000';
-                console.log(`[DEBUG] playPad called: Pad ${padNumber}, when: ${when}, currentTime: ${timestamp}`);
+                console.log(`[DEBUG] playPad called: Pad ${padNumber}, bank: ${bank}, when: ${when}, currentTime: ${timestamp}`);
+                
+                // NEW: Timeline-based playback (Cuellos de botella fix)
+                const startAt = when || this.audioContext.currentTime;
+                const settings = this.getPadSettings(bank, padNumber);
+                
+                // Toggle-loop: a press while the loop runs stops it instead of starting a new one
+                const toggled = this.getToggledVoices(this.getAllVoices(), bank, padNumber, startAt);
+                if (toggled.length > 0) {
+                    toggled.forEach(voice => this.releaseVoice(voice, startAt, voice.release));
+                    if (this.isRecording && !options.scheduled) {
+                        requestAnimationFrame(() => {
+                            this.recordPadEvent(padNumber, velocity);
+                        });
+                    }
+                    return;
+                }
+                
+                // Slices play their own region, regular samples play from the start (pad tune/reverse/start applied)
+                const region = this.getPlaybackRegion(sample, settings);
                 
                 // Use pre-created nodes to reduce latency
-                const source = this.createAudioSource(padNumber);
+                const source = this.createAudioSource(region);
                 const analyser = this.preCreatedAnalysers[padNumber];
                 const gain = this.preCreatedGains[padNumber];
                 
-                // Connect audio through master effects chain
-                source.connect(gain);
+                // Connect audio through the voice gain (envelope and chokes), the per-hit velocity stage,
+                // the pad filter/level/pan stage and master effects chain
+                const voiceGain = this.audioContext.createGain();
+                this.applyEnvelope(voiceGain.gain, settings, region, startAt);
+                const velocityStage = this.createVelocityStage(this.audioContext, velocity);
+                const padStage = this.createPadStage(this.audioContext, settings, velocity, startAt);
+                source.connect(voiceGain);
+                voiceGain.connect(velocityStage.input);
+                velocityStage.output.connect(padStage.input);
+                padStage.output.connect(gain);
+                this.connectSends(this.audioContext, padStage.output, settings, this.sendBus);
                 gain.connect(analyser);
                 analyser.connect(this.masterGain);
                 
-                // NEW: Timeline-based playback (Cuellos de botella fix)
-                const startAt = when || this.audioContext.currentTime;
+                // Voice mode and choke group cut off the voices this hit replaces
+                this.getChokedVoices(this.getAllVoices(), bank, padNumber, startAt).forEach(voice => {
+                    this.releaseVoice(voice, startAt);
+                });
+                
+                this.startVoiceSource(source, region, settings.playMode, startAt);
+                if (padStage.crusher) {
+                    source.addEventListener('ended', () => this.releaseBitcrusher(padStage.crusher));
+                }
+                
+                if (!this.activeSources[padNumber]) {
+                    this.activeSources[padNumber] = [];
+                }
+                this.activeSources[padNumber].push({
+                    source: source,
+                    gain: voiceGain,
+                    bank: bank,
+                    pad: padNumber,
+                    startTime: startAt,
+                    playMode: settings.playMode,
+                    release: settings.release / 1000,
+                    // Live gate hits wait for the key, note or pointer release
+                    held: settings.playMode === 'gate' && !options.scheduled
+                });
                 
-                // NEW: Handle slice parameters if this is a slice
-                const sample = this.samples[this.currentBank] && this.samples[this.currentBank][padNumber];
-                if (sample && sample.offset !== undefined && sample.duration !== undefined) {
-                    // This is a slice - use slice offset and duration
-                    source.start(startAt, sample.offset, sample.duration);
+                // Pads on screen show currentBank; other banks play without visual feedback
+                const isVisibleBank = bank === this.currentBank;
+                
+                if (isVisibleBank) {
+                    // Update UI asynchronously to not block audio
+                    requestAnimationFrame(() => {
+                        this.updatePadUI(padNumber, source);
+                    });
+                    this.midiOutput.flashPad(padNumber, startAt, velocity);
                 } else {
-                    // This is a regular sample - use provided parameters or defaults
-                    source.start(startAt, offset, duration);
+                    source.onended = () => {
+                        this.removeVoice(padNumber, source);
+                    };
+                }
+                
+                // Optional visualization (can be disabled for maximum latency)
+                if (!this.performanceMode && isVisibleBank) {
+                    const canvas = document.querySelector('.pad[data-number="' + padNumber + '"] .visualizer');
+                    console.log(`[DEBUG] Visualization check: performanceMode=${this.performanceMode}, canvas=${!!canvas}, analyser=${!!analyser}`);
+                    if (canvas) {
+                        console.log(`[DEBUG] Starting visualization for Pad ${padNumber}`);
+                        this.visualize(padNumber, analyser, canvas);
+                    } else {
+                        console.log(`[DEBUG] Canvas not found for Pad ${padNumber}`);
+                    }
+                } else if (this.performanceMode) {
+                    console.log(`[DEBUG] Visualization disabled: performanceMode=${this.performanceMode}`);
+                }
+                
+                // Background recording (sequencer playback is already in the sequence)
+                if (this.isRecording && !options.scheduled) {
+                    requestAnimationFrame(() => {
+                        this.recordPadEvent(padNumber, velocity);
+                    });
+                }
+                
+                // Asynchronous status update
+                requestAnimationFrame(() => {
+                            this.logToTerminal('Playing Pad ' + padNumber + ' (Bank ' + bank + ')', 'info');
+                });
+            }
+            
+            /**
+             * Get the sample assigned to a pad in any bank
+             * @method getPadSample
+             * @param {string} bank - Bank identifier ('A', 'B', 'C', 'D')
+             * @param {number} padNumber - The pad number (1-16)
+             * @returns {AudioBuffer|Object|null} Sample reference or null if the pad is empty
+             */
+            getPadSample(bank, padNumber) {
+                const bankMap = this.samples[bank] || this.bankSamples[bank];
+                return (bankMap && bankMap[padNumber]) || null;
+            }
+            
+            /**
+             * Map a velocity to a gain factor using the selected curve
+             * @method getVelocityGain
+             * @param {number} velocity - Hit velocity (1-127)
+             * @returns {number} Gain factor (0-1)
+             * @description linear: proportional, log: VELOCITY_LOG_RANGE_DB of range in dB, fixed: always full level
+             */
+            getVelocityGain(velocity) {
+                const amount = Math.max(1, Math.min(127, velocity)) / 127;
+                
+                switch (this.velocitySettings.curve) {
+                    case 'fixed':
+                        return 1.0;
+                    case 'log':
+                        return Math.pow(10, (amount - 1) * VELOCITY_LOG_RANGE_DB / 20);
+                    default:
+                        return amount;
+                }
+            }
+            
+            /**
+             * Map a velocity to a brightness filter cutoff
+             * @method getVelocityCutoff
+             * @param {number} velocity - Hit velocity (1-127)
+             * @returns {number} Low-pass cutoff in Hz (VELOCITY_MIN_CUTOFF to 20 kHz, exponential)
+             */
+            getVelocityCutoff(velocity) {
+                const amount = Math.max(1, Math.min(127, velocity)) / 127;
+                return VELOCITY_MIN_CUTOFF * Math.pow(20000 / VELOCITY_MIN_CUTOFF, amount);
+            }
+            
+            /**
+             * Create the per-hit velocity stage (gain, plus brightness filter when enabled)
+             * @method createVelocityStage
+             * @param {BaseAudioContext} context - Live AudioContext or OfflineAudioContext
+             * @param {number} velocity - Hit velocity (1-127)
+             * @returns {Object} { input, output } nodes to insert between the source and the pad gain
+             */
+            createVelocityStage(context, velocity) {
+                const velocityGain = context.createGain();
+                velocityGain.gain.value = this.getVelocityGain(velocity);
+                
+                if (!this.velocitySettings.brightness) {
+                    return { input: velocityGain, output: velocityGain };
+                }
+                
+                const brightness = context.createBiquadFilter();
+                brightness.type = 'lowpass';
+                brightness.frequency.value = this.getVelocityCutoff(velocity);
+                brightness.Q.value = 0.7;
+                velocityGain.connect(brightness);
+                
+                return { input: velocityGain, output: brightness };
+            }
+            
+            /**
+             * Read a velocity from a touch event
+             * @method getTouchVelocity
+             * @param {TouchEvent} e - touchstart event
+             * @returns {number} Velocity from touch pressure, or DEFAULT_VELOCITY when the screen reports none
+             */
+            getTouchVelocity(e) {
+                const touch = e.changedTouches && e.changedTouches[0];
+                if (touch && touch.force > 0) {
+                    return Math.max(1, Math.min(127, Math.round(touch.force * 127)));
+                }
+                return DEFAULT_VELOCITY;
+            }
+            
+            /**
+             * Set the velocity curve
+             * @method setVelocityCurve
+             * @param {string} curve - One of VELOCITY_CURVES
+             */
+            setVelocityCurve(curve) {
+                if (VELOCITY_CURVES.indexOf(curve) === -1) return;
+                
+                this.velocitySettings.curve = curve;
+                this.saveVelocitySettings();
+                this.updateVelocityButton();
+                this.logToTerminal(`Velocity curve: ${curve}`, 'info');
+            }
+            
+            /**
+             * Enable or disable velocity brightness
+             * @method setVelocityBrightness
+             * @param {boolean} enabled - Soft hits sound darker when true
+             */
+            setVelocityBrightness(enabled) {
+                this.velocitySettings.brightness = !!enabled;
+                this.saveVelocitySettings();
+                this.logToTerminal(`Velocity brightness ${enabled ? 'ON' : 'OFF'}`, 'info');
+            }
+            
+            /**
+             * Open the velocity settings modal
+             * @method openVelocityModal
+             */
+            openVelocityModal() {
+                document.querySelectorAll('#velocity-curve .slicer-btn').forEach(btn => {
+                    btn.classList.toggle('selected', btn.dataset.value === this.velocitySettings.curve);
+                });
+                document.querySelectorAll('#velocity-brightness .slicer-btn').forEach(btn => {
+                    btn.classList.toggle('selected', (btn.dataset.value === 'on') === this.velocitySettings.brightness);
+                });
+                document.getElementById('velocity-modal').style.display = 'flex';
+            }
+            
+            /**
+             * Close the velocity settings modal
+             * @method closeVelocityModal
+             */
+            closeVelocityModal() {
+                document.getElementById('velocity-modal').style.display = 'none';
+            }
+            
+            /**
+             * Show the velocity curve on the VEL button
+             * @method updateVelocityButton
+             */
+            updateVelocityButton() {
+                const velocityBtn = document.getElementById('velocity-button');
+                if (!velocityBtn) return;
+                
+                const labels = { linear: 'LIN', log: 'LOG', fixed: 'FIX' };
+                velocityBtn.textContent = 'VEL ' + labels[this.velocitySettings.curve];
+            }
+            
+            /**
+             * Get the settings of a pad
+             * @method getPadSettings
+             * @param {string} bank - Bank identifier ('A', 'B', 'C', 'D')
+             * @param {number} padNumber - The pad number (1-16)
+             * @returns {Object} Play, voice and sound settings (DEFAULT_PAD_SETTINGS for untouched pads)
+             */
+            getPadSettings(bank, padNumber) {
+                const bankSettings = this.padSettings[bank] || {};
+                return Object.assign({}, DEFAULT_PAD_SETTINGS, bankSettings[padNumber]);
+            }
+            
+            /**
+             * Change one setting of the pad shown in the settings modal
+             * @method setPadSetting
+             * @param {string} key - Setting name (a key of DEFAULT_PAD_SETTINGS)
+             * @param {string|number} value - New value
+             */
+            setPadSetting(key, value) {
+                const target = this.padSettingsTarget;
+                if (!target) return;
+                
+                const settings = this.getPadSettings(target.bank, target.pad);
+                settings[key] = value;
+                this.padSettings[target.bank][target.pad] = settings;
+                this.kitStorage.scheduleSave();
+                
+                this.logToTerminal(`Pad ${target.pad} (Bank ${target.bank}): ${key} = ${value}`, 'info');
+            }
+            
+            /**
+             * Toggle pad settings mode
+             * @method togglePadSettingsMode
+             * @description While active, the next pad tap opens that pad's settings instead of playing it
+             */
+            togglePadSettingsMode() {
+                this.padSettingsMode = !this.padSettingsMode;
+                
+                if (this.padSettingsMode) {
+                    if (this.slicerMode) {
+                        this.deactivateSlicerMode();
+                    }
+                    if (this.deletePadMode) {
+                        this.deactivateDeletePadMode();
+                    }
+                    if (this.isEditMode) {
+                        this.deactivateEditMode();
+                    }
+                    this.logToTerminal('Pad settings: tap a pad to edit it', 'info');
                 }
                 
-                this.activeSources[padNumber] = source;
+                document.getElementById('pad-settings-button').classList.toggle('active', this.padSettingsMode);
+            }
+            
+            /**
+             * Open the settings modal for a pad of the current bank
+             * @method openPadSettings
+             * @param {number} padNumber - The pad number (1-16)
+             */
+            openPadSettings(padNumber) {
+                const bank = this.currentBank;
+                const settings = this.getPadSettings(bank, padNumber);
+                const name = this.sampleNames[bank] && this.sampleNames[bank][padNumber];
+                
+                this.padSettingsTarget = { bank: bank, pad: padNumber };
+                this.padSettingsMode = false;
+                document.getElementById('pad-settings-button').classList.remove('active');
+                
+                document.getElementById('pad-settings-info').textContent =
+                    `Bank ${bank} · Pad ${padNumber}` + (name ? ` · ${name}` : '');
+                document.querySelectorAll('#pad-settings-modal .option-group').forEach(group => {
+                    const value = settings[group.dataset.setting];
+                    const selected = typeof value === 'boolean' ? (value ? 'on' : 'off') : String(value);
+                    group.querySelectorAll('.slicer-btn').forEach(btn => {
+                        btn.classList.toggle('selected', btn.dataset.value === selected);
+                    });
+                });
+                document.querySelectorAll('#pad-settings-modal .pad-param-slider').forEach(slider => {
+                    slider.value = settings[slider.dataset.setting];
+                    this.updateParamLabel('pad', slider.dataset.setting, settings[slider.dataset.setting]);
+                });
+                document.getElementById('pad-settings-modal').style.display = 'flex';
+            }
+            
+            /**
+             * Convert an option button value to a pad setting value
+             * @method parsePadSetting
+             * @param {string} key - Setting name
+             * @param {string} raw - Button data-value
+             * @returns {string|number|boolean} Value typed like DEFAULT_PAD_SETTINGS[key]
+             */
+            parsePadSetting(key, raw) {
+                const defaultValue = DEFAULT_PAD_SETTINGS[key];
+                if (typeof defaultValue === 'boolean') return raw === 'on';
+                if (typeof defaultValue === 'number') return parseInt(raw, 10);
+                return raw;
+            }
+            
+            /**
+             * Show a pad or send effect parameter next to its slider
+             * @method updateParamLabel
+             * @param {string} prefix - Slider id prefix ('pad', 'fx' or 'dyn')
+             * @param {string} key - Setting name (a slider's data-setting or data-effect)
+             * @param {number} value - Slider value
+             */
+            updateParamLabel(prefix, key, value) {
+                const label = document.getElementById(prefix + '-' + key + '-value');
+                if (!label) return;
+                
+                const signed = (value > 0 ? '+' : '') + value;
+                switch (key) {
+                    case 'tune':
+                        label.textContent = signed + ' st';
+                        break;
+                    case 'fine':
+                        label.textContent = signed + ' ct';
+                        break;
+                    case 'pan':
+                        label.textContent = value === 0 ? 'C' : (value < 0 ? 'L' + (-value) : 'R' + value);
+                        break;
+                    case 'attack':
+                    case 'decay':
+                    case 'release':
+                    case 'compAttack':
+                    case 'compRelease':
+                        label.textContent = value + ' ms';
+                        break;
+                    case 'compThreshold':
+                    case 'compMakeup':
+                        label.textContent = value + ' dB';
+                        break;
+                    case 'eqLow':
+                    case 'eqMid':
+                    case 'eqHigh':
+                        label.textContent = signed + ' dB';
+                        break;
+                    case 'eqLowFreq':
+                    case 'eqHighFreq':
+                        label.textContent = value >= 1000 ? (value / 1000).toFixed(1) + 'k' : value + '';
+                        break;
+                    case 'compRatio':
+                        label.textContent = value + ':1';
+                        break;
+                    case 'cutoff':
+                    case 'delayTone': {
+                        const frequency = this.getFilterCutoff(value);
+                        label.textContent = frequency >= 1000 ? (frequency / 1000).toFixed(1) + 'k' : Math.round(frequency) + '';
+                        break;
+                    }
+                    case 'filterEnv':
+                        label.textContent = signed + '%';
+                        break;
+                    case 'crushBits':
+                        label.textContent = value >= 16 ? 'Off' : value + ' bit';
+                        break;
+                    case 'crushRate': {
+                        const sampleRate = this.audioContext ? this.audioContext.sampleRate : 44100;
+                        const rate = this.getCrushRate(value, sampleRate);
+                        label.textContent = value >= 100 ? 'Off' : (rate >= 1000 ? (rate / 1000).toFixed(1) + 'k' : Math.round(rate) + '');
+                        break;
+                    }
+                    case 'reverbDecay':
+                        label.textContent = (REVERB_MIN_DECAY + (REVERB_MAX_DECAY - REVERB_MIN_DECAY) * value / 100).toFixed(1) + ' s';
+                        break;
+                    default:
+                        label.textContent = value + '%';
+                }
+            }
+            
+            /**
+             * Close the pad settings modal
+             * @method closePadSettings
+             */
+            closePadSettings() {
+                document.getElementById('pad-settings-modal').style.display = 'none';
+                this.padSettingsTarget = null;
+            }
+            
+            /**
+             * Change a send effect, distortion, bitcrusher, EQ or dynamics value
+             * @method setEffectValue
+             * @param {string} key - effectsValues key (delay*, reverb*, distortion*, crush*, eq* or comp*)
+             * @param {string|number} value - New value
+             * @description Only the stage the key belongs to is reapplied
+             */
+            setEffectValue(key, value) {
+                this.effectsValues[key] = value;
+                if (this.audioContext) {
+                    if (key.startsWith('delay') || key.startsWith('reverb')) {
+                        this.applySendSettings();
+                    } else if (key.startsWith('distortion')) {
+                        if (key === 'distortionModel') {
+                            this.warmDistortionCurves(value);
+                        }
+                        this.updateDistortionIntensity(this.effectsValues.distortion);
+                    } else if (key.startsWith('crush')) {
+                        if (this.masterCrusher) {
+                            this.setBitcrusher(this.masterCrusher, this.effectsValues.crushBits, this.effectsValues.crushRate);
+                        }
+                    } else if (key.startsWith('eq')) {
+                        this.applyEqSettings();
+                    } else if (key.startsWith('comp')) {
+                        this.applyDynamicsSettings();
+                    }
+                }
+                this.logToTerminal(`FX ${key}: ${value}`, 'info');
+            }
+            
+            /**
+             * Open the distortion and send effects modal
+             * @method openFxModal
+             */
+            openFxModal() {
+                document.querySelectorAll('#fx-modal .option-group').forEach(group => {
+                    group.querySelectorAll('.slicer-btn').forEach(btn => {
+                        btn.classList.toggle('selected', btn.dataset.value === this.effectsValues[group.dataset.effect]);
+                    });
+                });
+                this.syncEffectModalSliders('fx');
+                document.getElementById('fx-modal').style.display = 'flex';
+            }
+            
+            /**
+             * Show effectsValues on the sliders of an effect modal
+             * @method syncEffectModalSliders
+             * @param {string} prefix - Modal id prefix ('fx' or 'dyn')
+             */
+            syncEffectModalSliders(prefix) {
+                document.querySelectorAll('#' + prefix + '-modal .pad-param-slider').forEach(slider => {
+                    slider.value = this.effectsValues[slider.dataset.effect];
+                    this.updateParamLabel(prefix, slider.dataset.effect, this.effectsValues[slider.dataset.effect]);
+                });
+            }
+            
+            /**
+             * Open the master dynamics modal
+             * @method openDynamicsModal
+             */
+            openDynamicsModal() {
+                this.syncEffectModalSliders('dyn');
+                document.getElementById('dyn-modal').style.display = 'flex';
+            }
+            
+            /**
+             * Open the master EQ modal
+             * @method openEqModal
+             */
+            openEqModal() {
+                this.syncEqModal();
+                document.getElementById('eq-modal').style.display = 'flex';
+            }
+            
+            /**
+             * Show EQ values and kill states in the EQ modal
+             * @method syncEqModal
+             */
+            syncEqModal() {
+                this.syncEffectModalSliders('eq');
+                document.querySelectorAll('#eq-kills .slicer-btn').forEach(btn => {
+                    btn.classList.toggle('selected', this.effectsValues[btn.dataset.effect]);
+                });
+            }
+            
+            /**
+             * Close the master EQ modal
+             * @method closeEqModal
+             * @description Also ends MIDI learn
+             */
+            closeEqModal() {
+                document.getElementById('eq-modal').style.display = 'none';
+                if (this.midiMapping.learnArmed) this.midiMapping.setLearnArmed(false);
+            }
+            
+            /**
+             * Open the MIDI pad map modal
+             * @method openMidiMapModal
+             */
+            openMidiMapModal() {
+                this.updateMidiMapDisplay();
+                document.getElementById('midi-map-modal').style.display = 'flex';
+            }
+            
+            /**
+             * Close the MIDI pad map modal
+             * @method closeMidiMapModal
+             */
+            closeMidiMapModal() {
+                document.getElementById('midi-map-modal').style.display = 'none';
+            }
+            
+            /**
+             * Show the selected preset, the note of every pad, the CC bindings and the output profiles in the MIDI map modal
+             * @method updateMidiMapDisplay
+             */
+            updateMidiMapDisplay() {
+                const mapping = this.midiMapping;
+                document.querySelectorAll('#midi-map-preset .slicer-btn').forEach(btn => {
+                    btn.classList.toggle('selected', btn.dataset.value === mapping.presetId);
+                });
                 
-                // Update UI asynchronously to not block audio
-                requestAnimationFrame(() => {
-                    this.updatePadUI(padNumber, source);
+                document.querySelectorAll('#midi-cc-mode .slicer-btn').forEach(btn => {
+                    btn.classList.toggle('selected', btn.dataset.value === mapping.learnMode);
+                });
+                document.querySelectorAll('#midi-clock-mode .slicer-btn').forEach(btn => {
+                    btn.classList.toggle('selected', btn.dataset.value === this.midiClock.mode);
                 });
                 
-                // Optional visualization (can be disabled for maximum latency)
-                if (!this.performanceMode) {
-                    const canvas = document.querySelector('.pad[data-number="' + padNumber + '"] .visualizer');
-                    console.log(`[DEBUG] Visualization check: performanceMode=${this.performanceMode}, canvas=${!!canvas}, analyser=${!!analyser}`);
-                    if (canvas) {
-                        console.log(`[DEBUG] Starting visualization for Pad ${padNumber}`);
-                        this.visualize(padNumber, analyser, canvas);
-                    } else {
-                        console.log(`[DEBUG] Canvas not found for Pad ${padNumber}`);
-                    }
+                const list = document.getElementById('midi-map-list');
+                if (mapping.noteBindings.length === 0) {
+                    list.textContent = 'Any channel: note % 16 + 1';
                 } else {
-                    console.log(`[DEBUG] Visualization disabled: performanceMode=${this.performanceMode}`);
-                }
-                
-                // Background recording
-                if (this.isRecording) {
-                    requestAnimationFrame(() => {
-                        this.recordPadEvent(padNumber);
+                    const lines = [];
+                    for (let pad = 1; pad <= 16; pad++) {
+                        const binding = mapping.noteBindings.find(candidate => candidate.pad === pad);
+                        lines.push('P' + pad + ': ' + (binding ? binding.note + (binding.channel ? '/' + binding.channel : '') : '--'));
+                    }
+                    list.textContent = lines.join('  ');
+                }
+                
+                const ccList = document.getElementById('midi-cc-list');
+                const ccs = Object.keys(mapping.ccBindings);
+                ccList.textContent = ccs.length === 0 ? 'None' : ccs.map(cc => {
+                    const binding = mapping.ccBindings[cc];
+                    return 'CC' + cc + ': ' + binding.target + (binding.mode === 'absolute' ? '' : ' (' + binding.mode + ')');
+                }).join('  ');
+                
+                const outputList = document.getElementById('midi-output-list');
+                const outputs = this.midiOutput.getOutputs();
+                outputList.innerHTML = '';
+                if (outputs.length === 0) {
+                    outputList.innerHTML = '<div class="slicer-info">No MIDI outputs</div>';
+                }
+                outputs.forEach(output => {
+                    const label = document.createElement('div');
+                    label.className = 'slicer-info';
+                    label.textContent = output.name || output.id;
+                    
+                    const group = document.createElement('div');
+                    group.className = 'slicer-buttons option-group';
+                    group.dataset.output = output.id;
+                    Object.keys(MIDI_OUTPUT_PROFILES).forEach(profileId => {
+                        const btn = document.createElement('button');
+                        btn.className = 'slicer-btn' + (profileId === this.midiOutput.getProfileId(output) ? ' selected' : '');
+                        btn.dataset.value = profileId;
+                        btn.textContent = MIDI_OUTPUT_PROFILES[profileId].name.split(' (')[0];
+                        group.appendChild(btn);
                     });
+                    
+                    // Clock is a separate toggle, not one of the profile options
+                    const clockGroup = document.createElement('div');
+                    clockGroup.className = 'slicer-buttons';
+                    clockGroup.dataset.output = output.id;
+                    const clock = document.createElement('button');
+                    clock.className = 'slicer-btn midi-clock-output' + (this.midiClock.isClockOutput(output) ? ' selected' : '');
+                    clock.textContent = 'CLK';
+                    clock.title = 'Send MIDI clock to this device';
+                    clockGroup.appendChild(clock);
+                    
+                    outputList.appendChild(label);
+                    outputList.appendChild(group);
+                    outputList.appendChild(clockGroup);
+                });
+            }
+            
+            /**
+             * Set an EQ value from a MIDI control change
+             * @method applyEqValue
+             * @param {string} key - eq* effectsValues key
+             * @param {number|boolean} value - Gain/crossover, or kill state
+             * @description Like setEffectValue() without the terminal log, for fast knob streams
+             */
+            applyEqValue(key, value) {
+                this.effectsValues[key] = value;
+                if (this.audioContext) {
+                    this.applyEqSettings();
+                }
+                if (document.getElementById('eq-modal').style.display === 'flex') {
+                    this.syncEqModal();
                 }
+            }
+            
+            /**
+             * Move a master slider as if it was dragged
+             * @method setSliderValue
+             * @param {string} sliderId - slider-1..4
+             * @param {number} value - Slider value (0-100)
+             * @description Controls effects normally and START/END/ZOOM/SPEED in EDIT mode, like the slider input handler
+             */
+            setSliderValue(sliderId, value) {
+                const slider = document.getElementById(sliderId);
+                if (slider) slider.value = value;
                 
-                // Asynchronous status update
-                requestAnimationFrame(() => {
-                            this.logToTerminal('Playing Pad ' + padNumber + ' (Bank ' + this.currentBank + ')', 'info');
-                });
+                if (this.isEditMode) {
+                    this.handleEditSlider(sliderId, value);
+                } else {
+                    this.applyMasterEffect(sliderId, value);
+                }
+            }
+            
+            /**
+             * Close the master dynamics modal
+             * @method closeDynamicsModal
+             */
+            closeDynamicsModal() {
+                document.getElementById('dyn-modal').style.display = 'none';
+            }
+            
+            /**
+             * Close the send effects modal
+             * @method closeFxModal
+             */
+            closeFxModal() {
+                document.getElementById('fx-modal').style.display = 'none';
             }
             
             /**
              * Validate if a pad can be played
              * @method validatePlayback
              * @param {number} padNumber - The pad number to validate
+             * @param {string} bank - Bank the sample belongs to
+             * @param {AudioBuffer|Object} sample - Sample about to be played
              * @returns {boolean} True if playback is valid, false otherwise
              * @description Checks audio context and sample availability before playback
              */
-            validatePlayback(padNumber) {
+            validatePlayback(padNumber, bank, sample) {
                 if (!this.audioContext) {
                     this.logToTerminal('Please start audio before playing samples.', 'warning');
                     return false;
                 }
                 
-                if (!this.samples[this.currentBank] || !this.samples[this.currentBank][padNumber]) {
-                    this.logToTerminal('No audio assigned to Pad ' + padNumber + ' in Bank ' + this.currentBank, 'warning');
+                if (!this.resolveSampleRegion(sample)) {
+                    this.logToTerminal('No audio assigned to Pad ' + padNumber + ' in Bank ' + bank, 'warning');
                     return false;
                 }
                 
@@ -1489,58 +5490,379 @@
              * Stop audio playback for a specific pad
              * @method stopPadIfPlaying
              * @param {number} padNumber - The pad number to stop (1-16)
-             * @description Stops and cleans up audio sources for the specified pad
+             * @param {string} bank - Only stop voices of this bank (all banks when omitted)
+             * @returns {number} Number of voices stopped
+             * @description Stops and cleans up every voice of the specified pad
              */
-            stopPadIfPlaying(padNumber) {
-                const source = this.activeSources[padNumber];
-                if (source) {
+            stopPadIfPlaying(padNumber, bank) {
+                const voices = this.activeSources[padNumber] || [];
+                let stopped = 0;
+                
+                voices.forEach(voice => {
+                    if (bank && voice.bank !== bank) return;
                     try { 
-                        source.stop(); 
+                        voice.source.stop(); 
                     } catch(e) {
                         console.warn('Error stopping audio source:', e);
                     }
                     try { 
-                        source.disconnect(); 
+                        voice.source.disconnect(); 
                     } catch(e) {
                         console.warn('Error disconnecting audio source:', e);
                     }
+                    stopped++;
+                });
+                
+                const remaining = bank ? voices.filter(voice => voice.bank !== bank) : [];
+                if (remaining.length > 0) {
+                    this.activeSources[padNumber] = remaining;
+                } else {
                     delete this.activeSources[padNumber];
                 }
+                
+                return stopped;
+            }
+            
+            /**
+             * Remove a finished voice from a pad
+             * @method removeVoice
+             * @param {number} padNumber - The pad number (1-16)
+             * @param {AudioBufferSourceNode} source - Source of the voice that ended
+             * @returns {boolean} True if the pad still has sounding voices
+             */
+            removeVoice(padNumber, source) {
+                const voices = (this.activeSources[padNumber] || []).filter(voice => voice.source !== source);
+                if (voices.length > 0) {
+                    this.activeSources[padNumber] = voices;
+                    return true;
+                }
+                delete this.activeSources[padNumber];
+                return false;
+            }
+            
+            /**
+             * List the sounding voices of every pad
+             * @method getAllVoices
+             * @returns {Array<Object>} Voices ({ source, gain, bank, pad, startTime })
+             */
+            getAllVoices() {
+                return Object.keys(this.activeSources).reduce((all, padNumber) => {
+                    return all.concat(this.activeSources[padNumber]);
+                }, []);
+            }
+            
+            /**
+             * Pick the voices a new hit cuts off
+             * @method getChokedVoices
+             * @param {Array<Object>} voices - Sounding voices ({ bank, pad, startTime, released })
+             * @param {string} bank - Bank of the new hit
+             * @param {number} padNumber - Pad of the new hit
+             * @param {number} when - Start time of the new hit
+             * @returns {Array<Object>} Voices to release at `when`
+             * @description mono (and loop/toggle pads): every voice of the pad; poly: the oldest voices over
+             * the voice limit; choke group: every voice of the other pads (any bank) in the same group
+             */
+            getChokedVoices(voices, bank, padNumber, when) {
+                const settings = this.getPadSettings(bank, padNumber);
+                const sounding = voices.filter(voice => !voice.released && voice.startTime <= when);
+                
+                const ownVoices = sounding
+                    .filter(voice => voice.bank === bank && voice.pad === padNumber)
+                    .sort((a, b) => a.startTime - b.startTime);
+                const isMono = settings.voiceMode === 'mono' || settings.playMode === 'loop' || settings.playMode === 'toggle';
+                let choked = isMono
+                    ? ownVoices
+                    : ownVoices.slice(0, Math.max(0, ownVoices.length - settings.voiceLimit + 1));
+                
+                if (settings.chokeGroup) {
+                    choked = choked.concat(sounding.filter(voice => {
+                        if (voice.bank === bank && voice.pad === padNumber) return false;
+                        return this.getPadSettings(voice.bank, voice.pad).chokeGroup === settings.chokeGroup;
+                    }));
+                }
+                
+                return choked;
+            }
+            
+            /**
+             * Pick the running toggle-loop voices a new hit stops
+             * @method getToggledVoices
+             * @param {Array<Object>} voices - Sounding voices ({ bank, pad, startTime, playMode, released })
+             * @param {string} bank - Bank of the new hit
+             * @param {number} padNumber - Pad of the new hit
+             * @param {number} when - Start time of the new hit
+             * @returns {Array<Object>} Voices to release (empty when the hit should start the loop)
+             */
+            getToggledVoices(voices, bank, padNumber, when) {
+                if (this.getPadSettings(bank, padNumber).playMode !== 'toggle') return [];
+                
+                return voices.filter(voice => !voice.released && voice.playMode === 'toggle' &&
+                    voice.bank === bank && voice.pad === padNumber && voice.startTime <= when);
+            }
+            
+            /**
+             * Start a voice's source according to the pad's play mode
+             * @method startVoiceSource
+             * @param {AudioBufferSourceNode} source - Source to start
+             * @param {Object} region - { buffer, offset, duration } from resolveSampleRegion()
+             * @param {string} playMode - One of PLAY_MODES
+             * @param {number} when - Audio time to start at
+             * @description loop and toggle pads repeat the region until released; other modes play it once
+             */
+            startVoiceSource(source, region, playMode, when) {
+                if (playMode === 'loop' || playMode === 'toggle') {
+                    source.loop = true;
+                    source.loopStart = region.offset;
+                    // Whole samples have no duration: loop to the end of the buffer
+                    source.loopEnd = region.duration !== undefined ? region.offset + region.duration : region.buffer.duration;
+                    source.start(when, region.offset);
+                } else {
+                    source.start(when, region.offset, region.duration);
+                }
+            }
+            
+            /**
+             * Fade out and stop a voice
+             * @method releaseVoice
+             * @param {Object} voice - Voice with { source, gain }
+             * @param {number} when - Audio time at which the fade starts
+             * @param {number} releaseTime - Fade length in seconds (defaults to VOICE_RELEASE_TIME)
+             * @description Short fade so chokes and releases do not click
+             */
+            releaseVoice(voice, when, releaseTime = VOICE_RELEASE_TIME) {
+                voice.released = true;
+                
+                // Hold the envelope where it is so the release starts from the current level
+                const param = voice.gain.gain;
+                if (param.cancelAndHoldAtTime) {
+                    param.cancelAndHoldAtTime(when);
+                } else {
+                    param.cancelScheduledValues(when);
+                }
+                param.setTargetAtTime(0, when, releaseTime / 4);
+                try {
+                    voice.source.stop(when + releaseTime);
+                } catch(e) {
+                    console.warn('Error stopping released voice:', e);
+                }
+            }
+            
+            /**
+             * Release the held gate voices of a pad
+             * @method releasePad
+             * @param {number} padNumber - The pad number (1-16)
+             * @description Called on key release, MIDI note-off and pointer-up; other play modes ignore it
+             */
+            releasePad(padNumber) {
+                if (!this.audioContext) return;
+                
+                const now = this.audioContext.currentTime;
+                (this.activeSources[padNumber] || []).forEach(voice => {
+                    if (voice.held && !voice.released) {
+                        this.releaseVoice(voice, Math.max(now, voice.startTime), voice.release);
+                    }
+                });
             }
             
             /**
              * Create an audio source for playback
              * @method createAudioSource
-             * @param {number} padNumber - The pad number for the audio source
+             * @param {Object} region - Playback region from getPlaybackRegion()
              * @returns {AudioBufferSourceNode} Configured audio source node
              * @description Creates and configures audio source with optimized settings for minimum latency
              */
-            createAudioSource(padNumber) {
+            createAudioSource(region) {
                 // Create audio source with optimized configuration
                 const source = this.audioContext.createBufferSource();
                 
-                // NEW: Handle non-destructive slices (Cuellos de botella fix)
-                const sample = this.samples[this.currentBank] && this.samples[this.currentBank][padNumber];
-                if (sample && sample.buffer && sample.offset !== undefined) {
-                    // This is a slice - use offset and duration
-                    source.buffer = sample.buffer;
-                    // Note: offset and duration will be used in playPad(when, offset, duration)
-                } else if (sample && sample.buffer) {
-                    // This is a regular sample
-                    source.buffer = sample.buffer;
-                } else {
-                    // Fallback for backward compatibility
-                    source.buffer = sample;
-                }
+                // Slices share their parent buffer; offset and duration are applied in playPad()
+                source.buffer = region.buffer;
                 
-                // Configure for minimum latency
+                // Pad tune (coarse + fine)
                 if (source.playbackRate) {
-                    source.playbackRate.setValueAtTime(1.0, this.audioContext.currentTime);
+                    source.playbackRate.setValueAtTime(region.rate, this.audioContext.currentTime);
                 }
                 
                 return source;
             }
             
+            /**
+             * Resolve the region a pad plays with its sound parameters applied
+             * @method getPlaybackRegion
+             * @param {AudioBuffer|Object} sample - Sample reference (plain buffer, sample object or slice)
+             * @param {Object} settings - Pad settings from getPadSettings()
+             * @returns {Object|null} { buffer, offset, duration, rate, fade }
+             * @description Reverse plays the same region from a reversed copy of the buffer; the start offset
+             * skips a percentage of the region in playback direction; rate combines coarse and fine tune;
+             * slices from createSlices() get SLICE_FADE_TIME fades at both boundaries
+             */
+            getPlaybackRegion(sample, settings) {
+                const region = this.resolveSampleRegion(sample);
+                if (!region) return null;
+                
+                // Whole samples have no duration: play to the end of the buffer
+                const duration = region.duration !== undefined ? region.duration : region.buffer.duration - region.offset;
+                
+                let buffer = region.buffer;
+                let offset = region.offset;
+                if (settings.reverse) {
+                    buffer = this.getReversedBuffer(region.buffer);
+                    offset = buffer.duration - (region.offset + duration);
+                }
+                
+                const skip = duration * settings.startOffset / 100;
+                return {
+                    buffer: buffer,
+                    offset: Math.max(0, offset + skip),
+                    duration: duration - skip,
+                    rate: Math.pow(2, (settings.tune * 100 + settings.fine) / 1200),
+                    fade: sample.startFrame !== undefined ? SLICE_FADE_TIME : 0
+                };
+            }
+            
+            /**
+             * Schedule a voice's amplitude envelope
+             * @method applyEnvelope
+             * @param {AudioParam} param - Gain of the voice
+             * @param {Object} settings - Pad settings (attack, decay, sustain in ms / %)
+             * @param {Object} region - Playback region from getPlaybackRegion()
+             * @param {number} when - Voice start time
+             * @description Attack rises to full level, decay falls to the sustain level. One-shot and gate
+             * voices of slices also fade out before the region ends; release is applied by releaseVoice()
+             */
+            applyEnvelope(param, settings, region, when) {
+                const attack = Math.max(settings.attack / 1000, region.fade);
+                const decayEnd = when + attack + settings.decay / 1000;
+                const sustain = settings.sustain / 100;
+                
+                if (attack > 0) {
+                    param.setValueAtTime(0, when);
+                    param.linearRampToValueAtTime(1, when + attack);
+                } else {
+                    param.setValueAtTime(1, when);
+                }
+                if (sustain < 1) {
+                    param.linearRampToValueAtTime(sustain, decayEnd);
+                }
+                
+                // Looped voices never reach the region end
+                const isLooped = settings.playMode === 'loop' || settings.playMode === 'toggle';
+                if (region.fade > 0 && !isLooped) {
+                    const end = when + region.duration / region.rate;
+                    param.setValueAtTime(sustain, Math.max(decayEnd, end - region.fade));
+                    param.linearRampToValueAtTime(0, Math.max(decayEnd, end));
+                }
+            }
+            
+            /**
+             * Get a reversed copy of a buffer
+             * @method getReversedBuffer
+             * @param {AudioBuffer} buffer - Original buffer
+             * @returns {AudioBuffer} Reversed copy (cached per buffer, shared by all slices of it)
+             */
+            getReversedBuffer(buffer) {
+                if (this.reversedBuffers.has(buffer)) {
+                    return this.reversedBuffers.get(buffer);
+                }
+                
+                const reversed = this.audioContext.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+                for (let c = 0; c < buffer.numberOfChannels; c++) {
+                    const data = reversed.getChannelData(c);
+                    data.set(buffer.getChannelData(c));
+                    data.reverse();
+                }
+                
+                this.reversedBuffers.set(buffer, reversed);
+                return reversed;
+            }
+            
+            /**
+             * Create the per-hit pad filter, bitcrusher, level and pan stage
+             * @method createPadStage
+             * @param {BaseAudioContext} context - Live AudioContext or OfflineAudioContext
+             * @param {Object} settings - Pad settings from getPadSettings()
+             * @param {number} velocity - Hit velocity (1-127), for velocity → cutoff
+             * @param {number} when - Voice start time, for the filter envelope
+             * @returns {Object} { input, output, crusher } nodes to insert between the velocity stage and the
+             * pad gain; crusher (or null) is released by the caller when the voice ends
+             */
+            createPadStage(context, settings, velocity, when) {
+                const level = context.createGain();
+                level.gain.value = settings.level / 100;
+                
+                let input = level;
+                let crusher = null;
+                if (settings.crushBits < 16 || settings.crushRate < 100) {
+                    crusher = this.createBitcrusher(context, when);
+                    if (crusher) {
+                        this.setBitcrusher(crusher, settings.crushBits, settings.crushRate);
+                        crusher.connect(input);
+                        input = crusher;
+                    }
+                }
+                if (settings.filterType !== 'off') {
+                    const filter = this.createPadFilter(context, settings, velocity, when);
+                    filter.connect(input);
+                    input = filter;
+                }
+                
+                if (!settings.pan) {
+                    return { input: input, output: level, crusher: crusher };
+                }
+                
+                const panner = context.createStereoPanner();
+                panner.pan.value = settings.pan / 100;
+                level.connect(panner);
+                
+                return { input: input, output: panner, crusher: crusher };
+            }
+            
+            /**
+             * Map a cutoff setting to a frequency
+             * @method getFilterCutoff
+             * @param {number} cutoff - Cutoff setting (0-100)
+             * @returns {number} Frequency in Hz (exponential FILTER_MIN_CUTOFF to FILTER_MAX_CUTOFF)
+             */
+            getFilterCutoff(cutoff) {
+                return FILTER_MIN_CUTOFF * Math.pow(FILTER_MAX_CUTOFF / FILTER_MIN_CUTOFF, cutoff / 100);
+            }
+            
+            /**
+             * Create a pad's multimode filter
+             * @method createPadFilter
+             * @param {BaseAudioContext} context - Live AudioContext or OfflineAudioContext
+             * @param {Object} settings - Pad settings (filterType, cutoff, resonance, filterEnv, filterVelocity)
+             * @param {number} velocity - Hit velocity (1-127)
+             * @param {number} when - Voice start time
+             * @returns {BiquadFilterNode} Filter with its cutoff envelope scheduled
+             * @description Velocity lowers the base cutoff of soft hits; the envelope sweeps the cutoff by
+             * filterEnv × FILTER_ENV_OCTAVES at the attack peak and settles at the sustain level
+             */
+            createPadFilter(context, settings, velocity, when) {
+                const filter = context.createBiquadFilter();
+                filter.type = settings.filterType;
+                filter.Q.value = 0.7 + (FILTER_MAX_Q - 0.7) * settings.resonance / 100;
+                
+                const softness = 1 - Math.max(1, Math.min(127, velocity)) / 127;
+                const velocityOctaves = -softness * FILTER_VELOCITY_OCTAVES * settings.filterVelocity / 100;
+                const envOctaves = FILTER_ENV_OCTAVES * settings.filterEnv / 100;
+                const nyquist = context.sampleRate / 2;
+                const toFrequency = octaves => {
+                    const frequency = this.getFilterCutoff(settings.cutoff) * Math.pow(2, velocityOctaves + octaves);
+                    return Math.max(FILTER_MIN_CUTOFF, Math.min(nyquist, frequency));
+                };
+                
+                filter.frequency.setValueAtTime(toFrequency(0), when);
+                if (envOctaves !== 0) {
+                    const attackEnd = when + settings.attack / 1000;
+                    filter.frequency.exponentialRampToValueAtTime(toFrequency(envOctaves), attackEnd);
+                    filter.frequency.exponentialRampToValueAtTime(
+                        toFrequency(envOctaves * settings.sustain / 100), attackEnd + settings.decay / 1000);
+                }
+                
+                return filter;
+            }
+            
             /**
              * Create an audio analyser node for visualization
              * @method createAnalyser
@@ -1570,8 +5892,10 @@
                     pad.classList.add('playing');
                     
                     source.onended = function() {
+                        // Other voices of the pad may still be sounding
+                        if (self.removeVoice(padNumber, source)) return;
+                        
                         pad.classList.remove('playing');
-                        delete self.activeSources[padNumber];
                         
                         if (self.visualizers[padNumber]) {
                             cancelAnimationFrame(self.visualizers[padNumber]);
@@ -1623,15 +5947,64 @@
             onMIDISuccess(midiAccess) {
                 const self = this;
                 this.midiAccess = midiAccess;
-                this.padController.setMIDIAvailable(true);
                 
-                const inputs = midiAccess.inputs.values();
+                midiAccess.inputs.forEach(input => {
+                    this.midiPortStates.set(input.id, input.state);
+                    this.bindMIDIInput(input);
+                });
+                midiAccess.outputs.forEach(output => this.midiPortStates.set(output.id, output.state));
+                
+                // Devices plugged in later are bound when they appear
+                midiAccess.onstatechange = function(event) { self.onMIDIStateChange(event); };
                 
-                for (let input = inputs.next(); input && !input.done; input = inputs.next()) {
-                    input.value.onmidimessage = function(msg) { self.onMIDIMessage(msg); };
+                this.padController.setMIDIAvailable(true);
+                this.midiOutput.refresh(true);
+                
+                this.logToTerminal('MIDI connected (' + this.padController.getMidiInputs().length +
+                    ' input(s)). Click a device in the input status bar to ignore it or set its channel.', 'info');
+            }
+            
+            /**
+             * Route a MIDI input's messages to onMIDIMessage
+             * @method bindMIDIInput
+             * @param {MIDIInput} input - MIDI input port
+             * @description Safe to call again for the same port
+             */
+            bindMIDIInput(input) {
+                const self = this;
+                input.onmidimessage = function(msg) { self.onMIDIMessage(msg, input); };
+            }
+            
+            /**
+             * Handle MIDI devices being plugged in or removed
+             * @method onMIDIStateChange
+             * @param {MIDIConnectionEvent} event - Connection event from MIDIAccess
+             * @description Binds new inputs, resends LEDs to new outputs and refreshes the device lists.
+             * Port open/close events (same connection state) only refresh the lists.
+             */
+            onMIDIStateChange(event) {
+                const port = event.port;
+                const name = port.name || port.id;
+                const previousState = this.midiPortStates.get(port.id);
+                this.midiPortStates.set(port.id, port.state);
+                
+                if (previousState !== port.state) {
+                    const connected = port.state === 'connected';
+                    
+                    if (port.type === 'input' && connected) {
+                        this.bindMIDIInput(port);
+                    } else if (port.type === 'output') {
+                        this.midiOutput.resetDevice(port);
+                    }
+                    
+                    this.logToTerminal('MIDI ' + port.type + ' ' + (connected ? 'connected' : 'disconnected') + ': ' + name,
+                        connected ? 'info' : 'warning');
                 }
                 
-                        this.logToTerminal('MIDI connected (OMNI - all channels). MIDI controller ready.', 'info');
+                this.padController.updateInputStatus();
+                if (document.getElementById('midi-map-modal').style.display === 'flex') {
+                    this.updateMidiMapDisplay();
+                }
             }
             
             /**
@@ -1650,22 +6023,49 @@
              * Handle incoming MIDI messages
              * @method onMIDIMessage
              * @param {MIDIMessageEvent} message - MIDI message event from controller
-             * @description Processes MIDI note-on messages and triggers corresponding pads
+             * @param {MIDIInput} input - Port the message came from (per-device enable and channel filter)
+             * @description Processes MIDI note-on messages and triggers the pads bound by midiMapping (or completes
+             * a MIDI learn); note-off releases them;
+             * control changes drive their learned control; clock and transport go to midiClock
              */
-            onMIDIMessage(message) {
+            onMIDIMessage(message, input) {
                 const data = message.data;
                 const status = data[0];
+                
+                if (input && !this.padController.acceptsMidi(input, data)) return;
                 const note = data[1]; 
                 const velocity = data[2];
+                const channel = (status & 0x0F) + 1;
+                
+                // System real-time: clock and transport (0xF8-0xFC)
+                if (status >= 0xF8 && status <= 0xFC) {
+                    this.midiClock.handleMessage(status, message.timeStamp);
+                    return;
+                }
                 
                 // Detect Note On in any MIDI channel (144-159 = 0x90-0x9F)
                 if ((status >= 144 && status <= 159) && velocity > 0) {
-                    const padNumber = note % 16 + 1;
+                    if (this.midiMapping.learnPad !== null) {
+                        this.midiMapping.completeLearn(note, channel);
+                        return;
+                    }
+                    
+                    const padNumber = this.midiMapping.getPadForNote(note, channel);
+                    if (padNumber === null) return;
                     
                     // MIDI uses the unified system
                     this.padController.triggerPad(padNumber, velocity, 'MIDI');
                     
-                    console.log('MIDI: Channel ' + ((status & 0x0F) + 1) + ', Note ' + note + ', Velocity ' + velocity + ' → Pad ' + padNumber);
+                    console.log('MIDI: Channel ' + channel + ', Note ' + note + ', Velocity ' + velocity + ' → Pad ' + padNumber);
+                } else if ((status >= 128 && status <= 143) || (status >= 144 && status <= 159)) {
+                    // Note Off (128-143 = 0x80-0x8F), or Note On with velocity 0
+                    const padNumber = this.midiMapping.getPadForNote(note, channel);
+                    if (padNumber !== null) {
+                        this.padController.releasePad(padNumber, 'MIDI');
+                    }
+                } else if (status >= 176 && status <= 191) {
+                    // Control Change (176-191 = 0xB0-0xBF): data[1] is the controller, data[2] its value
+                    this.midiMapping.handleControlChange(note, velocity);
                 }
             }
             
@@ -1683,26 +6083,61 @@
              * Change the current tempo/BPM
              * @method changeTempo
              * @param {number} change - Amount to change BPM (positive or negative)
+             * @param {Object} options - Change options
+             * @param {boolean} options.live - Keep playing: stretch the running timeline around now instead of
+             * restarting the sequence (MIDI knobs and external clock send many small changes)
              * @description Updates BPM within valid range and restarts timers if needed
              */
-            changeTempo(change) {
+            changeTempo(change, options = {}) {
                 const oldBPM = this.bpm;
                 this.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, this.bpm + change));
+                if (options.live && this.bpm === oldBPM) return;
                 this.updateTempoDisplay();
+                this.updateDelayTime();
                 
-                // Log BPM change to terminal
-                this.logToTerminal(`BPM changed from ${oldBPM} to ${this.bpm}`, 'info');
+                // Log BPM change to terminal (live streams only to the console)
+                if (options.live) {
+                    console.log(`BPM changed from ${oldBPM} to ${this.bpm} (live)`);
+                } else {
+                    this.logToTerminal(`BPM changed from ${oldBPM} to ${this.bpm}`, 'info');
+                }
                 
                 // NEW: Recalculate sequence timing if we have a recorded sequence
-                if (this.hasRecordedSequence()) {
-                    this.recalculateSequenceTiming(oldBPM, this.bpm);
+                if (this.hasAnyPatternData()) {
+                    this.recalculateSequenceTiming(oldBPM, this.bpm, options.live);
                 }
                 
-                if (this.isRecording || this.isPlaying) {
+                if (options.live && this.audioContext) {
+                    // The heard position stays put, everything after it moves to the new tempo
+                    const now = this.audioContext.currentTime;
+                    const ratio = oldBPM / this.bpm;
+                    this.retimeTimeline(time => now + (time - now) * ratio);
+                }
+                
+                if (this.isRecording || (this.isPlaying && !options.live)) {
                     this.restartTimers();
                 }
             }
             
+            /**
+             * Move the running sequence timeline without restarting it
+             * @method retimeTimeline
+             * @param {Function} mapTime - Old audio time → new audio time
+             * @description Applies to the sequence/overdub start, the scheduler position and the bar timeline
+             * together, so events already scheduled are not scheduled again and none are skipped
+             */
+            retimeTimeline(mapTime) {
+                this.sequenceStartTime = mapTime(this.sequenceStartTime);
+                this.overdubStartTime = mapTime(this.overdubStartTime);
+                if (!this.isPlaying || !this.playhead) return;
+                
+                this.nextNoteTime = mapTime(this.nextNoteTime);
+                this.playhead.barStartTime = mapTime(this.playhead.barStartTime);
+                this.barTimeline.forEach(bar => {
+                    bar.startTime = mapTime(bar.startTime);
+                });
+            }
+            
             /**
              * Check if there's a recorded sequence with data
              * @method hasRecordedSequence
@@ -1718,15 +6153,16 @@
              * @method recalculateSequenceTiming
              * @param {number} oldBPM - Previous BPM value
              * @param {number} newBPM - New BPM value
-             * @description Converts all sequence event times from old BPM to new BPM
+             * @param {boolean} live - Caller retimes the running playback itself (no restart, no log)
+             * @description Converts the event times of every pattern from old BPM to new BPM
              */
-            recalculateSequenceTiming(oldBPM, newBPM) {
+            recalculateSequenceTiming(oldBPM, newBPM, live = false) {
                 if (oldBPM === newBPM) return;
                 
                 const bpmRatio = oldBPM / newBPM;
                 let eventsRecalculated = 0;
                 
-                this.sequence.forEach((bar, barIndex) => {
+                this.patterns.forEach(pattern => pattern.sequence.forEach((bar, barIndex) => {
                     if (bar && bar.length > 0) {
                         bar.forEach(event => {
                             // Convert time from old BPM to new BPM
@@ -1741,9 +6177,12 @@
                             eventsRecalculated++;
                         });
                     }
-                });
+                }));
+                this.patterns.forEach(pattern => this.forEachAutomationPoint(pattern, point => {
+                    point.time *= bpmRatio;
+                }));
                 
-                if (eventsRecalculated > 0) {
+                if (eventsRecalculated > 0 && !live) {
                     this.logToTerminal(`Recalculated timing for ${eventsRecalculated} sequence events (${oldBPM} → ${newBPM} BPM)`, 'info');
                     
                     // If sequence is currently playing, restart it with new timing
@@ -1861,9 +6300,11 @@
             /**
              * Update pad indicators for the current bank
              * @method updatePadBankIndicators
-             * @description Updates visual indicators showing which pads have samples loaded
+             * @description Updates visual indicators (and controller LEDs) showing which pads have samples loaded
              */
             updatePadBankIndicators() {
+                this.midiOutput.refresh();
+                
                 for (let i = 1; i <= 16; i++) {
                     const pad = document.querySelector('.pad[data-number="' + i + '"]');
                     if (!pad) continue;
@@ -2114,7 +6555,7 @@
                 const bank = this.currentBank;
                 const sampleName = this.sampleNames[bank][padNumber] || ('Pad ' + padNumber);
                 
-                this.stopPadIfPlaying(padNumber);
+                this.stopPadIfPlaying(padNumber, bank);
                 
                 // CORREGIDO: Limpiar correctamente tanto en bankSamples como en samples
                 delete this.bankSamples[bank][padNumber];
@@ -2677,19 +7118,20 @@
              * Record a pad event during sequence recording
              * @method recordPadEvent
              * @param {number} padNumber - The pad number that was triggered
+             * @param {number} velocity - Hit velocity (1-127), replayed by the scheduler
              * @description Records pad triggers with timing and applies quantization if enabled
              */
-            recordPadEvent(padNumber) {
+            recordPadEvent(padNumber, velocity = DEFAULT_VELOCITY) {
                 const currentTime = this.audioContext.currentTime;
                 
                 // NEW: Calculate relative time based on mode
                 let relativeTime;
                 if (this.isOverdubbing) {
                     // In overdub mode, calculate time from overdub start
-                    relativeTime = (currentTime - this.overdubStartTime) % (60 / this.bpm * BEATS_PER_BAR);
+                    relativeTime = (currentTime - this.overdubStartTime) % this.barDuration();
                 } else {
                     // In normal recording mode, calculate time from sequence start
-                    relativeTime = (currentTime - this.sequenceStartTime) % (60 / this.bpm * BEATS_PER_BAR);
+                    relativeTime = (currentTime - this.sequenceStartTime) % this.barDuration();
                 }
                 
                 // NEW: Apply quantization if enabled
@@ -2705,6 +7147,7 @@
                         pad: padNumber,
                         time: quantizedTime,
                         bank: this.currentBank,
+                        velocity: velocity,
                         originalTime: relativeTime,
                         quantized: this.quantizeMode,
                         overdubbed: true // NEW: Flag to indicate this was added via overdub
@@ -2722,6 +7165,7 @@
                         pad: padNumber,
                         time: quantizedTime,
                         bank: this.currentBank,
+                        velocity: velocity,
                         originalTime: relativeTime,
                         quantized: this.quantizeMode
                     });
@@ -2733,6 +7177,208 @@
                     console.log('Recorded in bar ' + (this.currentBar+1) + ', ' + timingInfo + ', bank: ' + this.currentBank);
                     console.log('[DEBUG] Normal recording timing - currentTime:', currentTime.toFixed(3), 'sequenceStartTime:', this.sequenceStartTime.toFixed(3), 'relativeTime:', relativeTime.toFixed(3));
                 }
+                
+                // Show the new hit in an open grid
+                if (this.stepGrid.isOpen()) {
+                    this.stepGrid.render();
+                }
+            }
+            
+            /**
+             * Record a master slider move as automation
+             * @method recordAutomationPoint
+             * @param {string} sliderId - slider-1..4
+             * @param {number} value - Slider value (0-100)
+             * @description Time-stamped like recordPadEvent() (never quantized). The first move of a lane in a
+             * REC/DUB pass replaces that lane; moves closer than AUTOMATION_MIN_INTERVAL update the previous point.
+             */
+            recordAutomationPoint(sliderId, value) {
+                if (AUTOMATION_SLIDERS.indexOf(sliderId) === -1) return;
+                
+                const startTime = this.isOverdubbing ? this.overdubStartTime : this.sequenceStartTime;
+                const time = (this.audioContext.currentTime - startTime) % this.barDuration();
+                const pattern = this.pattern;
+                if (!pattern.automation) pattern.automation = {};
+                
+                if (!this.automationTouched.has(sliderId)) {
+                    this.automationTouched.add(sliderId);
+                    pattern.automation[sliderId] = [];
+                    this.logToTerminal(`Recording ${sliderId} automation`, 'info');
+                }
+                
+                const lane = pattern.automation[sliderId];
+                const bar = lane[this.currentBar] || (lane[this.currentBar] = []);
+                let index = bar.findIndex(point => point.time > time);
+                if (index === -1) index = bar.length;
+                
+                const previous = bar[index - 1];
+                if (previous && time - previous.time < AUTOMATION_MIN_INTERVAL) {
+                    previous.value = value;
+                    return;
+                }
+                bar.splice(index, 0, { time: time, value: value });
+            }
+            
+            /**
+             * Visit every automation point of a pattern
+             * @method forEachAutomationPoint
+             * @param {Object} pattern - Pattern with automation lanes
+             * @param {Function} callback - Called with (point, sliderId, barIndex)
+             */
+            forEachAutomationPoint(pattern, callback) {
+                const lanes = pattern.automation || {};
+                Object.keys(lanes).forEach(sliderId => {
+                    lanes[sliderId].forEach((bar, barIndex) => {
+                        if (bar) bar.forEach(point => callback(point, sliderId, barIndex));
+                    });
+                });
+            }
+            
+            /**
+             * Get the AudioParams a master slider drives
+             * @method getAutomationTargets
+             * @param {Object} chain - Master chain (live or offline)
+             * @param {string} sliderId - slider-1..4
+             * @param {number} value - Slider value (0-100)
+             * @returns {Array<Array>} [AudioParam, target value] pairs, mapped like applyMasterEffect()
+             * @description slider-2 only moves the distortion pre/post gains; its curve is swapped separately
+             */
+            getAutomationTargets(chain, sliderId, value) {
+                switch (sliderId) {
+                    case 'slider-1':
+                        return [[chain.masterGain.gain, value / 100]];
+                    case 'slider-2':
+                        return [
+                            [chain.distortionPreGain.gain, 1.0 + (value / 100) * 2],
+                            [chain.distortionPostGain.gain, 1.0 / (1.0 + (value / 100) * 0.5)]
+                        ];
+                    case 'slider-3':
+                        return [[chain.masterFilter.frequency, Math.exp(Math.log(20) + (value / 100) * Math.log(20000 / 20))]];
+                    case 'slider-4':
+                        return [[chain.masterFilter.Q, value / 10]];
+                    default:
+                        return [];
+                }
+            }
+            
+            /**
+             * Schedule the automation points of one bar
+             * @method scheduleAutomation
+             * @param {Object} chain - Master chain (live or offline)
+             * @param {Object} pattern - Pattern owning the lanes
+             * @param {number} barIndex - Bar of the pattern
+             * @param {number} barStartTime - Audio time of the bar start
+             * @param {number} from - Window start (inclusive)
+             * @param {number} to - Window end (exclusive)
+             * @returns {Array<Object>} Scheduled { sliderId, value, when } points
+             * @description The first point of a bar jumps with setValueAtTime, later points ramp from the previous
+             * one with linearRampToValueAtTime, so a recorded sweep restarts with every loop
+             */
+            scheduleAutomation(chain, pattern, barIndex, barStartTime, from, to) {
+                const scheduled = [];
+                if (!chain.masterGain) return scheduled;
+                
+                const lanes = pattern.automation || {};
+                Object.keys(lanes).forEach(sliderId => {
+                    const bar = lanes[sliderId][barIndex];
+                    if (!bar) return;
+                    
+                    bar.forEach((point, index) => {
+                        const when = barStartTime + point.time;
+                        if (when < from || when >= to) return;
+                        
+                        this.getAutomationTargets(chain, sliderId, point.value).forEach(([param, target]) => {
+                            if (index === 0) {
+                                param.setValueAtTime(target, when);
+                            } else {
+                                param.linearRampToValueAtTime(target, when);
+                            }
+                        });
+                        scheduled.push({ sliderId: sliderId, value: point.value, when: when });
+                    });
+                });
+                
+                return scheduled;
+            }
+            
+            /**
+             * Schedule the automation of the rendered bars into an offline render
+             * @method scheduleRenderAutomation
+             * @param {OfflineAudioContext} offline - Render context
+             * @param {Object} chain - Offline master chain
+             * @param {Object} timeline - Bars of one loop, from getRenderTimeline()
+             * @param {number} cycles - Rendered loops
+             * @description Distortion curve changes run at suspend points (render quantum resolution); a change in
+             * the first quantum cannot suspend (the render starts there), so it is applied before rendering
+             */
+            scheduleRenderAutomation(offline, chain, timeline, cycles) {
+                const renderDuration = timeline.duration * cycles;
+                const curveChanges = new Map(); // Render quantum → last distortion value inside it
+                
+                for (let cycle = 0; cycle < cycles; cycle++) {
+                    timeline.bars.forEach(bar => {
+                        const barStartTime = cycle * timeline.duration + bar.startTime;
+                        this.scheduleAutomation(chain, bar.pattern, bar.barIndex, barStartTime, 0, renderDuration).forEach(point => {
+                            if (point.sliderId !== 'slider-2') return;
+                            curveChanges.set(Math.floor(point.when * offline.sampleRate / 128), point.value);
+                        });
+                    });
+                }
+                
+                const model = this.effectsValues.distortionModel;
+                curveChanges.forEach((value, quantum) => {
+                    if (quantum === 0) {
+                        chain.masterDistortion.curve = this.getDistortionCurve(model, value);
+                        return;
+                    }
+                    
+                    offline.suspend(quantum * 128 / offline.sampleRate).then(() => {
+                        chain.masterDistortion.curve = this.getDistortionCurve(model, value);
+                        offline.resume();
+                    }).catch(error => {
+                        console.warn('Distortion automation point skipped in render:', error);
+                    });
+                });
+            }
+            
+            /**
+             * Move sliders and effectsValues to automation points that are now audible
+             * @method flushAutomationUi
+             * @param {number} now - Current audio time
+             * @description Also swaps the distortion curve, which is not an AudioParam
+             */
+            flushAutomationUi(now) {
+                this.automationUi = this.automationUi.filter(point => {
+                    if (point.when > now) return true;
+                    
+                    const slider = document.getElementById(point.sliderId);
+                    if (slider) slider.value = point.value;
+                    switch (point.sliderId) {
+                        case 'slider-1': this.effectsValues.volume = point.value; break;
+                        case 'slider-2':
+                            this.effectsValues.distortion = point.value;
+                            this.masterDistortion.curve = this.getDistortionCurve(this.effectsValues.distortionModel, point.value);
+                            break;
+                        case 'slider-3': this.effectsValues.filter = point.value; break;
+                        case 'slider-4': this.effectsValues.resonance = point.value; break;
+                    }
+                    return false;
+                });
+            }
+            
+            /**
+             * Drop automation scheduled past the current time
+             * @method cancelAutomation
+             * @description Master params return to effectsValues (the last automation point heard)
+             */
+            cancelAutomation() {
+                this.automationUi = [];
+                if (!this.audioContext || !this.masterGain) return;
+                
+                const now = this.audioContext.currentTime;
+                [this.masterGain.gain, this.distortionPreGain.gain, this.distortionPostGain.gain,
+                    this.masterFilter.frequency, this.masterFilter.Q].forEach(param => param.cancelScheduledValues(now));
+                this.applyInitialEffectsValues();
             }
             
             // NEW: QUANTIZATION SYSTEM FUNCTIONS
@@ -2745,7 +7391,7 @@
              * @description Applies quantization to timing values based on current grid resolution
              */
             quantizeTime(time) {
-                const beatDuration = 60 / this.bpm; // Duration of one beat in seconds
+                const beatDuration = this.beatDuration(); // Duration of one beat in seconds
                 const stepDuration = beatDuration / this.gridStepsPerBeat; // Duration of one grid step
                 
                 // Calculate which grid step this time falls into
@@ -2758,7 +7404,7 @@
                 const finalTime = time + (quantizedTime - time) * this.quantizeStrength;
                 
                 // Ensure time stays within the bar
-                return finalTime % (beatDuration * BEATS_PER_BAR);
+                return finalTime % this.barDuration();
             }
             
             /**
@@ -2769,7 +7415,7 @@
              * @description Calculates grid position and timing information for quantization
              */
             getGridStepInfo(time) {
-                const beatDuration = 60 / this.bpm;
+                const beatDuration = this.beatDuration();
                 const stepDuration = beatDuration / this.gridStepsPerBeat;
                 const stepIndex = Math.round(time / stepDuration);
                 const beatIndex = Math.floor(time / beatDuration);
@@ -2852,15 +7498,15 @@
              * @description Displays current grid resolution and timing information for user reference
              */
             showGridInfo() {
-                const beatDuration = 60 / this.bpm;
+                const beatDuration = this.beatDuration();
                 const stepDuration = beatDuration / this.gridStepsPerBeat;
                 
-                this.logToTerminal(`Grid Info: ${this.gridResolution} steps per bar, ${this.gridStepsPerBeat} steps per beat`, 'info');
+                this.logToTerminal(`Grid Info: ${this.getTimeSignatureLabel()}, ${this.gridResolution} steps per bar, ${this.gridStepsPerBeat} steps per beat`, 'info');
                 this.logToTerminal(`Step duration: ${(stepDuration * 1000).toFixed(1)}ms, Beat duration: ${(beatDuration * 1000).toFixed(1)}ms`, 'info');
                 
                 // Show grid visualization
                 let gridVisual = 'Grid: ';
-                for (let beat = 0; beat < BEATS_PER_BAR; beat++) {
+                for (let beat = 0; beat < this.pattern.beatsPerBar; beat++) {
                     gridVisual += '|';
                     for (let step = 0; step < this.gridStepsPerBeat; step++) {
                         gridVisual += step === 0 ? '1' : '&';
@@ -3359,7 +8005,8 @@
                     clearInterval(this.metronomeInterval);
                 }
                 
-                const beatDuration = 60000 / this.bpm;
+                const beatDuration = this.beatDuration() * 1000;
+                const beatsPerBar = this.pattern.beatsPerBar;
                 let tickCount = 0;
                 
                 this.currentBeat = 1;
@@ -3373,11 +8020,11 @@
                     tickCount++;
                     
                     // Actualizar el pulso basado en el tick
-                    self.currentBeat = (tickCount % BEATS_PER_BAR) + 1;
+                    self.currentBeat = (tickCount % beatsPerBar) + 1;
                     
                     // Actualizar el compás cuando completamos un ciclo de pulsos
                     if (self.currentBeat === 1) {
-                        self.currentBar = Math.floor(tickCount / BEATS_PER_BAR) % BAR_COUNT;
+                        self.currentBar = Math.floor(tickCount / beatsPerBar) % self.pattern.bars;
                     }
                     
                     // Actualizar la UI
@@ -3427,7 +8074,9 @@
                 let totalBarsRecorded = 0;
                 let tickCount = 0;
                 const self = this;
-                const beatDuration = 60000 / this.bpm;
+                const beatDuration = this.beatDuration() * 1000;
+                const beatsPerBar = this.pattern.beatsPerBar;
+                const patternBars = this.pattern.bars;
                 
                 // Inicializar contadores
                 this.currentBar = 0;
@@ -3439,18 +8088,18 @@
                         tickCount++;
                         
                         // Actualizar el pulso basado en el tick
-                        self.currentBeat = (tickCount % BEATS_PER_BAR) + 1;
+                        self.currentBeat = (tickCount % beatsPerBar) + 1;
                         document.getElementById('current-beat').textContent = self.currentBeat;
                         
                         // Si completamos un compás
                         if (self.currentBeat === 1) {
-                            // Durante la grabación, avanzar secuencialmente (0 a 3)
-                            self.currentBar = Math.floor(tickCount / BEATS_PER_BAR) % BAR_COUNT;
+                            // Durante la grabación, avanzar secuencialmente (0 a patternBars - 1)
+                            self.currentBar = Math.floor(tickCount / beatsPerBar) % patternBars;
                             document.getElementById('current-bar').textContent = self.currentBar + 1;
                             
                             totalBarsRecorded++;
                             
-                            if (totalBarsRecorded >= BAR_COUNT) {
+                            if (totalBarsRecorded >= patternBars) {
                                 self.isRecording = false;
                                 self.isPlaying = true;
                                 
@@ -3468,7 +8117,7 @@
                                 self.startSequence();
                             }
                             else {
-                                const statusMsg = 'Recording bar ' + (self.currentBar + 1) + '... (' + totalBarsRecorded + '/' + BAR_COUNT + ')';
+                                const statusMsg = 'Recording bar ' + (self.currentBar + 1) + '... (' + totalBarsRecorded + '/' + patternBars + ')';
                                 self.logToTerminal(statusMsg, 'info');
                             }
                         }
@@ -3508,150 +8157,714 @@
                     this.logToTerminal(`Quantization Stats: ${quantizedHits} hits quantized`, 'info');
                     this.logToTerminal(`Average timing error: ${avgErrorMs.toFixed(1)}ms`, 'info');
                     
-                    if (avgErrorMs < 10) {
-                        this.logToTerminal('Excellent timing precision!', 'info');
-                    } else if (avgErrorMs < 25) {
-                        this.logToTerminal('Good timing precision', 'info');
-                    } else {
-                        this.logToTerminal('Consider increasing quantization strength', 'warning');
+                    if (avgErrorMs < 10) {
+                        this.logToTerminal('Excellent timing precision!', 'info');
+                    } else if (avgErrorMs < 25) {
+                        this.logToTerminal('Good timing precision', 'info');
+                    } else {
+                        this.logToTerminal('Consider increasing quantization strength', 'warning');
+                    }
+                }
+            }
+            
+            // NEW: SCHEDULER DETERMINISTA FUNCTIONS (Cuellos de botella fix)
+            
+            /**
+             * Start sequence playback with deterministic scheduler
+             * @method startSequence
+             * @param {number} startTime - Optional audio time of the downbeat
+             * @description Initiates the deterministic musical scheduler for sequence playback
+             */
+            startSequence(startTime) {
+                // Clean up any existing audio sources before starting new sequence
+                this.cleanupActiveSources();
+                
+                // Song mode always starts from the first chain step
+                this.queuedPatternIndex = null;
+                if (this.songMode && this.song.length > 0) {
+                    this.songPosition = { step: 0, repeat: 0 };
+                    this.activatePattern(this.song[0].pattern);
+                    this.logToTerminal(`Song step 1/${this.song.length}: Pattern ${this.song[0].pattern + 1} x${this.song[0].repeats}`, 'info');
+                } else {
+                    this.songPosition = null;
+                    this.updatePatternSelector();
+                }
+                
+                this.isPlaying = true;
+                this.sequenceStartTime = startTime !== undefined ? startTime :
+                    this.midiClock.start(this.audioContext.currentTime + 0.05); // pequeño offset (on the MIDI clock grid when sending clock)
+                if (this.masterCrusher) {
+                    this.anchorBitcrusher(this.masterCrusher, this.sequenceStartTime);
+                }
+                this.nextNoteTime = this.sequenceStartTime;
+                this.playhead = {
+                    patternIndex: this.currentPatternIndex,
+                    barIndex: 0,
+                    barStartTime: this.sequenceStartTime
+                };
+                this.barTimeline = [{ patternIndex: this.currentPatternIndex, barIndex: 0, startTime: this.sequenceStartTime }];
+                this.midiOutput.refresh();
+                this.currentBar = 0; // Reset to start of sequence
+                this.currentBeat = 1;
+                this.updateBarBeatDisplay();
+                
+                this.logToTerminal('Starting deterministic scheduler with loop', 'info');
+                this.schedulerTimer = setInterval(() => this.schedulerTick(), LOOKAHEAD * 1000);
+            }
+            
+            /**
+             * Scheduler tick - processes events in timeline
+             * @method schedulerTick
+             * @description Main scheduler loop that processes scheduled events and advances timeline.
+             * The playhead walks bar by bar so pattern switches and song steps land on bar boundaries.
+             */
+            schedulerTick() {
+                const now = this.audioContext.currentTime;
+                const stepDuration = (60 / this.bpm) / GRID_STEPS_PER_BEAT; // One 16th note
+                
+                this.updatePlaybackPosition(now);
+                
+                // Schedule events for the look-ahead horizon
+                while (this.nextNoteTime < now + SCHEDULE_AHEAD_TIME) {
+                    const playhead = this.playhead;
+                    const pattern = this.patterns[playhead.patternIndex];
+                    const barEnd = playhead.barStartTime + this.barDuration(pattern);
+                    
+                    // Bar boundary reached: move the playhead (may switch pattern)
+                    if (this.nextNoteTime >= barEnd - 1e-6) {
+                        this.advancePlayhead();
+                        this.nextNoteTime = this.playhead.barStartTime;
+                        continue;
+                    }
+                    
+                    const stepEnd = Math.min(this.nextNoteTime + stepDuration, barEnd);
+                    
+                    // Automation points of the current bar that fall inside this grid step
+                    this.scheduleAutomation(this.getMasterChain(), pattern, playhead.barIndex, playhead.barStartTime,
+                        Math.max(this.nextNoteTime, now), stepEnd).forEach(point => this.automationUi.push(point));
+                    
+                    // Events of the current bar that fall inside this grid step
+                    const bar = pattern.sequence[playhead.barIndex];
+                    if (bar && bar.length > 0) {
+                        for (const ev of bar) {
+                            const when = playhead.barStartTime + ev.time;
+                            if (when < this.nextNoteTime || when >= stepEnd) continue;
+                            
+                            // NEW: Prevent scheduling events that are too close to current time
+                            if (when >= now + 0.01) {
+                                this.logToTerminal(`Scheduling event: Pad ${ev.pad} at ${when.toFixed(3)}s (Pattern ${playhead.patternIndex + 1}, Bar ${playhead.barIndex + 1})`, 'info');
+                                this.triggerScheduled(ev, when);
+                            } else {
+                                console.log(`[DEBUG] Skipping event too close to current time: Pad ${ev.pad} at ${when.toFixed(3)}s (current: ${now.toFixed(3)}s)`);
+                            }
+                        }
+                    }
+                    
+                    // Advance to next grid step
+                    this.nextNoteTime = stepEnd;
+                }
+            }
+            
+            /**
+             * Move the scheduler playhead to the next bar
+             * @method advancePlayhead
+             * @description Applies a queued pattern switch at the bar boundary, or the next song step when a pattern ends
+             */
+            advancePlayhead() {
+                const playhead = this.playhead;
+                const pattern = this.patterns[playhead.patternIndex];
+                
+                playhead.barStartTime += this.barDuration(pattern);
+                playhead.barIndex++;
+                
+                const patternEnded = playhead.barIndex >= pattern.bars;
+                let nextPattern = playhead.patternIndex;
+                
+                if (this.songMode && this.song.length > 0) {
+                    if (patternEnded) {
+                        nextPattern = this.nextSongPattern();
+                    }
+                } else if (this.queuedPatternIndex !== null) {
+                    nextPattern = this.queuedPatternIndex;
+                }
+                
+                if (patternEnded || nextPattern !== playhead.patternIndex) {
+                    playhead.barIndex = 0;
+                }
+                playhead.patternIndex = nextPattern;
+                
+                this.barTimeline.push({
+                    patternIndex: playhead.patternIndex,
+                    barIndex: playhead.barIndex,
+                    startTime: playhead.barStartTime
+                });
+            }
+            
+            /**
+             * Follow the audible bar in the UI
+             * @method updatePlaybackPosition
+             * @param {number} now - Current audio time
+             * @description Bars are scheduled ahead of time; the selected pattern and bar/beat display change when the bar is actually heard
+             */
+            updatePlaybackPosition(now) {
+                this.flushAutomationUi(now);
+                
+                let barChanged = false;
+                while (this.barTimeline.length > 1 && this.barTimeline[1].startTime <= now) {
+                    this.barTimeline.shift();
+                    barChanged = true;
+                }
+                
+                const bar = this.barTimeline[0];
+                if (!bar || now < bar.startTime) return;
+                
+                if (bar.patternIndex !== this.currentPatternIndex) {
+                    this.activatePattern(bar.patternIndex);
+                }
+                
+                const pattern = this.patterns[bar.patternIndex];
+                this.currentBar = bar.barIndex;
+                this.currentBeat = Math.min(pattern.beatsPerBar, Math.floor((now - bar.startTime) / this.beatDuration(pattern)) + 1);
+                this.updateBarBeatDisplay();
+                
+                if (this.stepGrid.isOpen()) {
+                    this.stepGrid.updatePlayhead(bar.barIndex, now - bar.startTime);
+                }
+                
+                // Log loop start
+                if (barChanged && bar.barIndex === 0) {
+                    this.logToTerminal(`Pattern ${bar.patternIndex + 1}: Starting new sequence cycle`, 'info');
+                }
+            }
+            
+            /**
+             * Trigger scheduled event from its own bank
+             * @method triggerScheduled
+             * @param {Object} ev - Event object with pad and bank information
+             * @param {number} when - When to trigger the event (audio timeline)
+             * @description Executes scheduled events without changing the selected bank or UI state
+             */
+            triggerScheduled(ev, when) {
+                // NEW: Prevent duplicate event execution
+                const eventKey = `${ev.pad}-${ev.bank || this.currentBank}-${when.toFixed(3)}`;
+                if (this.scheduledEvents.has(eventKey)) {
+                    console.log(`[DEBUG] Duplicate event prevented: ${eventKey}`);
+                    return;
+                }
+                
+                // Mark this event as scheduled
+                this.scheduledEvents.add(eventKey);
+                
+                // Clean up old events after a reasonable time
+                setTimeout(() => {
+                    this.scheduledEvents.delete(eventKey);
+                }, 1000); // Keep for 1 second to prevent duplicates
+                
+                // Play straight from the event's bank without touching currentBank
+                this.playPad(ev.pad, when, {
+                    bank: ev.bank || this.currentBank,
+                    velocity: ev.velocity || DEFAULT_VELOCITY,
+                    scheduled: true
+                });
+            }
+            
+            /**
+             * Queue bar for scheduler processing
+             * @method queueBar
+             * @param {number} barIndex - Index of the bar to queue (0 to pattern.bars - 1)
+             * @description Prepares the next bar for scheduler processing
+             */
+            queueBar(barIndex) {
+                // Preparar la siguiente barra para el scheduler
+                if (barIndex < this.pattern.bars && this.sequence[barIndex]) {
+                    this.logToTerminal(`Bar ${barIndex + 1} queued for scheduler`, 'info');
+                }
+            }
+            
+            /**
+             * Calculate bar duration in seconds
+             * @method barDuration
+             * @param {Object} pattern - Pattern to measure (defaults to the selected pattern)
+             * @returns {number} Duration of one bar in seconds
+             * @description Calculates the time duration of a complete bar based on current BPM and time signature
+             */
+            barDuration(pattern = this.pattern) { 
+                return this.beatDuration(pattern) * pattern.beatsPerBar; 
+            }
+            
+            /**
+             * Calculate beat duration in seconds
+             * @method beatDuration
+             * @param {Object} pattern - Pattern to measure (defaults to the selected pattern)
+             * @returns {number} Duration of one beat in seconds
+             * @description BPM counts quarter notes, so an eighth-note beat (x/8) lasts half as long
+             */
+            beatDuration(pattern = this.pattern) { 
+                return (60 / this.bpm) * (4 / pattern.beatUnit); 
+            }
+            
+            /**
+             * Calculate pattern loop duration in seconds
+             * @method loopDuration
+             * @param {Object} pattern - Pattern to measure (defaults to the selected pattern)
+             * @returns {number} Duration of the whole pattern in seconds
+             */
+            loopDuration(pattern = this.pattern) {
+                return this.barDuration(pattern) * pattern.bars;
+            }
+            
+            /**
+             * The selected pattern
+             * @returns {Object} { bars, beatsPerBar, beatUnit, sequence, automation }
+             */
+            get pattern() {
+                return this.patterns[this.currentPatternIndex];
+            }
+            
+            /**
+             * Event bars of the selected pattern
+             * @returns {Array<Array>} One event list per bar
+             */
+            get sequence() {
+                return this.pattern.sequence;
+            }
+            
+            set sequence(bars) {
+                this.pattern.sequence = bars;
+            }
+            
+            /**
+             * Create a default pattern (4 bars, 4/4, no events)
+             * @method createPattern
+             * @returns {Object} { bars, beatsPerBar, beatUnit, sequence }
+             */
+            createPattern() {
+                return {
+                    bars: BAR_COUNT,            // Pattern length (MIN_PATTERN_BARS-MAX_PATTERN_BARS)
+                    beatsPerBar: BEATS_PER_BAR, // Time signature numerator
+                    beatUnit: 4,                // Time signature denominator (4 = quarter, 8 = eighth)
+                    sequence: Array(BAR_COUNT).fill().map(function() { return []; }),
+                    automation: {}              // Slider id → bars of { time, value } points
+                };
+            }
+            
+            /**
+             * Create an empty sequence for the current pattern length
+             * @method createEmptySequence
+             * @returns {Array<Array>} One empty event list per bar
+             */
+            createEmptySequence() {
+                return Array(this.pattern.bars).fill().map(function() { return []; });
+            }
+            
+            /**
+             * Get the time signature as text
+             * @method getTimeSignatureLabel
+             * @returns {string} Signature such as '4/4' or '7/8'
+             */
+            getTimeSignatureLabel() {
+                return this.pattern.beatsPerBar + '/' + this.pattern.beatUnit;
+            }
+            
+            /**
+             * Check whether pattern settings can be changed right now
+             * @method canEditPattern
+             * @returns {boolean} False while recording or playing
+             */
+            canEditPattern() {
+                if (this.isRecording || this.isPlaying) {
+                    this.logToTerminal('Stop the sequence before changing pattern length or time signature.', 'warning');
+                    return false;
+                }
+                return true;
+            }
+            
+            /**
+             * Set the pattern length in bars
+             * @method setPatternLength
+             * @param {number} bars - Number of bars (MIN_PATTERN_BARS-MAX_PATTERN_BARS)
+             * @description Adds empty bars or drops trailing bars (and their events) from the sequence
+             */
+            setPatternLength(bars) {
+                bars = Math.max(MIN_PATTERN_BARS, Math.min(MAX_PATTERN_BARS, Math.round(bars)));
+                if (bars === this.pattern.bars) {
+                    this.updatePatternDisplay();
+                    return;
+                }
+                
+                let droppedEvents = 0;
+                for (let i = bars; i < this.sequence.length; i++) {
+                    droppedEvents += this.sequence[i] ? this.sequence[i].length : 0;
+                }
+                
+                this.pattern.bars = bars;
+                this.sequence.length = Math.min(this.sequence.length, bars);
+                Object.keys(this.pattern.automation || {}).forEach(sliderId => {
+                    const lane = this.pattern.automation[sliderId];
+                    lane.length = Math.min(lane.length, bars);
+                });
+                while (this.sequence.length < bars) {
+                    this.sequence.push([]);
+                }
+                
+                if (this.currentBar >= bars) {
+                    this.currentBar = 0;
+                    this.updateBarBeatDisplay();
+                }
+                
+                this.updatePatternDisplay();
+                
+                this.logToTerminal(`Pattern length: ${bars} bar${bars === 1 ? '' : 's'}`, 'info');
+                if (droppedEvents > 0) {
+                    this.logToTerminal(`${droppedEvents} events in removed bars were discarded`, 'warning');
+                }
+            }
+            
+            /**
+             * Set the pattern time signature
+             * @method setTimeSignature
+             * @param {string} signature - One of TIME_SIGNATURES ('4/4', '3/4', '5/4', '7/8', '6/8')
+             * @description Updates beat length and quantize grid; events and automation points past the new bar
+             * end are discarded
+             */
+            setTimeSignature(signature) {
+                if (TIME_SIGNATURES.indexOf(signature) === -1) {
+                    console.warn('[PATTERN] Unsupported time signature:', signature);
+                    signature = BEATS_PER_BAR + '/4';
+                }
+                
+                const parts = signature.split('/');
+                this.pattern.beatsPerBar = parseInt(parts[0], 10);
+                this.pattern.beatUnit = parseInt(parts[1], 10);
+                
+                this.applyPatternGrid();
+                
+                const barDuration = this.barDuration();
+                let droppedEvents = 0;
+                this.sequence.forEach(function(bar, barIndex, bars) {
+                    const kept = bar.filter(function(ev) { return ev.time < barDuration; });
+                    droppedEvents += bar.length - kept.length;
+                    bars[barIndex] = kept;
+                });
+                Object.keys(this.pattern.automation || {}).forEach(sliderId => {
+                    const lane = this.pattern.automation[sliderId];
+                    lane.forEach(function(points, barIndex) {
+                        if (points) lane[barIndex] = points.filter(function(point) { return point.time < barDuration; });
+                    });
+                });
+                
+                if (this.currentBeat > this.pattern.beatsPerBar) {
+                    this.currentBeat = 1;
+                    this.updateBarBeatDisplay();
+                }
+                
+                this.updatePatternDisplay();
+                
+                this.logToTerminal(`Time signature: ${signature} (${this.gridResolution} steps per bar)`, 'info');
+                if (droppedEvents > 0) {
+                    this.logToTerminal(`${droppedEvents} events past the end of the bar were discarded`, 'warning');
+                }
+            }
+            
+            /**
+             * Match the quantize grid to the selected pattern's time signature
+             * @method applyPatternGrid
+             * @description Grid stays in 16th notes: 4 steps per quarter-note beat, 2 per eighth-note beat
+             */
+            applyPatternGrid() {
+                this.gridStepsPerBeat = GRID_STEPS_PER_BEAT * 4 / this.pattern.beatUnit;
+                this.gridResolution = this.gridStepsPerBeat * this.pattern.beatsPerBar;
+            }
+            
+            /**
+             * Step the pattern length up or down
+             * @method changePatternLength
+             * @param {number} delta - Bars to add (negative to remove)
+             */
+            changePatternLength(delta) {
+                if (!this.canEditPattern()) return;
+                this.setPatternLength(this.pattern.bars + delta);
+            }
+            
+            /**
+             * Jump to the next common pattern length (1, 2, 4, 8, 16, 32, 64)
+             * @method cyclePatternLength
+             */
+            cyclePatternLength() {
+                if (!this.canEditPattern()) return;
+                
+                let next = MIN_PATTERN_BARS;
+                while (next <= this.pattern.bars) next *= 2;
+                if (next > MAX_PATTERN_BARS) next = MIN_PATTERN_BARS;
+                
+                this.setPatternLength(next);
+            }
+            
+            /**
+             * Cycle through the supported time signatures
+             * @method cycleTimeSignature
+             */
+            cycleTimeSignature() {
+                if (!this.canEditPattern()) return;
+                
+                const currentIndex = TIME_SIGNATURES.indexOf(this.getTimeSignatureLabel());
+                this.setTimeSignature(TIME_SIGNATURES[(currentIndex + 1) % TIME_SIGNATURES.length]);
+            }
+            
+            /**
+             * Update pattern length and time signature buttons
+             * @method updatePatternDisplay
+             */
+            updatePatternDisplay() {
+                const barsDisplay = document.getElementById('pattern-bars-display');
+                const signatureBtn = document.getElementById('time-signature');
+                
+                if (barsDisplay) {
+                    barsDisplay.textContent = this.pattern.bars + (this.pattern.bars === 1 ? ' BAR' : ' BARS');
+                }
+                if (signatureBtn) {
+                    signatureBtn.textContent = this.getTimeSignatureLabel();
+                }
+            }
+            
+            /**
+             * Check whether a pattern has any events
+             * @method patternHasData
+             * @param {number} index - Pattern index (0 to PATTERN_COUNT - 1)
+             * @returns {boolean} True if the pattern has recorded events
+             */
+            patternHasData(index) {
+                const pattern = this.patterns[index];
+                return !!pattern && pattern.sequence.some(bar => bar && bar.length > 0);
+            }
+            
+            /**
+             * Check whether any pattern in the bank has events
+             * @method hasAnyPatternData
+             * @returns {boolean} True if at least one pattern has recorded events
+             */
+            hasAnyPatternData() {
+                return this.patterns.some((pattern, index) => this.patternHasData(index));
+            }
+            
+            /**
+             * Select a pattern from the pattern bank
+             * @method selectPattern
+             * @param {number} index - Pattern index (0 to PATTERN_COUNT - 1)
+             * @description Switches immediately when stopped; while the scheduler runs the change is queued for the next bar boundary
+             */
+            selectPattern(index) {
+                index = ((index % PATTERN_COUNT) + PATTERN_COUNT) % PATTERN_COUNT;
+                
+                if (this.schedulerTimer) {
+                    if (this.songMode && this.song.length > 0) {
+                        this.logToTerminal('Song mode is driving pattern changes. Turn SONG off to switch patterns live.', 'warning');
+                        return;
+                    }
+                    
+                    this.queuedPatternIndex = index === this.currentPatternIndex ? null : index;
+                    this.updatePatternSelector();
+                    if (this.queuedPatternIndex !== null) {
+                        this.logToTerminal(`Pattern ${index + 1} queued for next bar`, 'info');
                     }
+                    return;
+                }
+                
+                if (this.isRecording) {
+                    this.logToTerminal('Stop recording before switching patterns.', 'warning');
+                    return;
                 }
+                
+                if (index === this.currentPatternIndex) return;
+                
+                this.activatePattern(index);
+                this.logToTerminal(`Pattern ${index + 1} selected (${this.pattern.bars} bars, ${this.getTimeSignatureLabel()})`, 'info');
             }
             
-            // NEW: SCHEDULER DETERMINISTA FUNCTIONS (Cuellos de botella fix)
+            /**
+             * Step the pattern selection forward or backward
+             * @method stepPattern
+             * @param {number} delta - +1 for next pattern, -1 for previous
+             */
+            stepPattern(delta) {
+                const from = this.queuedPatternIndex !== null ? this.queuedPatternIndex : this.currentPatternIndex;
+                this.selectPattern(from + delta);
+            }
             
             /**
-             * Start sequence playback with deterministic scheduler
-             * @method startSequence
-             * @description Initiates the deterministic musical scheduler for sequence playback
+             * Make a pattern the selected one
+             * @method activatePattern
+             * @param {number} index - Pattern index (0 to PATTERN_COUNT - 1)
+             * @description Updates grid and displays; `sequence` follows the selected pattern
              */
-            startSequence() {
-                // Clean up any existing audio sources before starting new sequence
-                this.cleanupActiveSources();
+            activatePattern(index) {
+                this.currentPatternIndex = index;
+                if (this.queuedPatternIndex === index) {
+                    this.queuedPatternIndex = null;
+                }
                 
-                this.isPlaying = true;
-                this.sequenceStartTime = this.audioContext.currentTime + 0.05; // pequeño offset
-                this.nextNoteTime = this.sequenceStartTime;
-                this.currentBar = 0; // Reset to start of sequence
-                this.currentBeat = 1;
-                this.updateBarBeatDisplay();
+                this.applyPatternGrid();
+                this.updatePatternDisplay();
+                this.updatePatternSelector();
                 
-                this.logToTerminal('Starting deterministic scheduler with loop', 'info');
-                this.schedulerTimer = setInterval(() => this.schedulerTick(), LOOKAHEAD * 1000);
+                if (this.stepGrid.isOpen()) {
+                    this.stepGrid.render();
+                }
             }
             
             /**
-             * Scheduler tick - processes events in timeline
-             * @method schedulerTick
-             * @description Main scheduler loop that processes scheduled events and advances timeline
+             * Update the pattern selector display
+             * @method updatePatternSelector
+             * @description Shows the selected pattern, or the queued one (blinking) until the next bar
              */
-            schedulerTick() {
-                const now = this.audioContext.currentTime;
-                const loopDuration = this.barDuration() * BAR_COUNT;
-                
-                // Update current bar based on elapsed time since sequence start
-                if (this.sequenceStartTime > 0) {
-                    const elapsedTime = now - this.sequenceStartTime;
-                    const currentCycle = Math.floor(elapsedTime / loopDuration);
-                    const timeInCurrentCycle = elapsedTime % loopDuration;
-                    this.currentBar = Math.floor(timeInCurrentCycle / this.barDuration());
-                    this.currentBeat = Math.floor((timeInCurrentCycle % this.barDuration()) / this.beatDuration()) + 1;
-                    this.updateBarBeatDisplay();
-                    
-                    // Log loop completion
-                    if (this.currentBar === 0 && this.currentBeat === 1) {
-                        this.logToTerminal(`Loop ${currentCycle + 1}: Starting new sequence cycle`, 'info');
+            updatePatternSelector() {
+                const display = document.getElementById('pattern-display');
+                if (!display) return;
+                
+                const shown = this.queuedPatternIndex !== null ? this.queuedPatternIndex : this.currentPatternIndex;
+                display.textContent = 'PAT ' + String(shown + 1).padStart(2, '0');
+                display.classList.toggle('pattern-queued', this.queuedPatternIndex !== null);
+            }
+            
+            /**
+             * Advance the song chain at the end of a pattern
+             * @method nextSongPattern
+             * @returns {number} Pattern index to play next
+             * @description Counts repeats of the current chain step and loops back to the first step after the last one
+             */
+            nextSongPattern() {
+                if (!this.songPosition || this.songPosition.step >= this.song.length) {
+                    this.songPosition = { step: 0, repeat: 0 };
+                } else {
+                    this.songPosition.repeat++;
+                    if (this.songPosition.repeat >= this.song[this.songPosition.step].repeats) {
+                        this.songPosition.step = (this.songPosition.step + 1) % this.song.length;
+                        this.songPosition.repeat = 0;
                     }
                 }
                 
-                // Schedule events for the look-ahead horizon
-                while (this.nextNoteTime < now + SCHEDULE_AHEAD_TIME) {
-                    // Calculate which cycle and bar this time represents
-                    const timeFromStart = this.nextNoteTime - this.sequenceStartTime;
-                    const cycle = Math.floor(timeFromStart / loopDuration);
-                    const timeInCycle = timeFromStart % loopDuration;
-                    const barIndex = Math.floor(timeInCycle / this.barDuration());
-                    
-                    // Get events from the calculated bar
-                    const bar = this.sequence[barIndex];
-                    if (bar && bar.length > 0) {
-                        for (const ev of bar) {
-                            const when = this.sequenceStartTime + (cycle * loopDuration) + (barIndex * this.barDuration()) + ev.time;
-                            // NEW: Prevent scheduling events that are too close to current time
-                            if (when >= now + 0.01 && when < now + SCHEDULE_AHEAD_TIME) {
-                                this.logToTerminal(`Scheduling event: Pad ${ev.pad} at ${when.toFixed(3)}s (Bar ${barIndex + 1}, Cycle ${cycle + 1})`, 'info');
-                                this.triggerScheduled(ev, when);
-                            } else if (when < now + 0.01) {
-                                console.log(`[DEBUG] Skipping event too close to current time: Pad ${ev.pad} at ${when.toFixed(3)}s (current: ${now.toFixed(3)}s)`);
-                            }
-                        }
-                    }
-                    
-                    // Advance to next grid step
-                    this.nextNoteTime += this.beatDuration() / GRID_STEPS_PER_BEAT;
+                const step = this.song[this.songPosition.step];
+                if (this.songPosition.repeat === 0) {
+                    this.logToTerminal(`Song step ${this.songPosition.step + 1}/${this.song.length}: Pattern ${step.pattern + 1} x${step.repeats}`, 'info');
                 }
+                
+                return step.pattern;
             }
             
             /**
-             * Trigger scheduled event with bank switching
-             * @method triggerScheduled
-             * @param {Object} ev - Event object with pad and bank information
-             * @param {number} when - When to trigger the event (audio timeline)
-             * @description Executes scheduled events with automatic bank switching
+             * Open the song chain editor
+             * @method openSongModal
              */
-            triggerScheduled(ev, when) {
-                // NEW: Prevent duplicate event execution
-                const eventKey = `${ev.pad}-${ev.bank || this.currentBank}-${when.toFixed(3)}`;
-                if (this.scheduledEvents.has(eventKey)) {
-                    console.log(`[DEBUG] Duplicate event prevented: ${eventKey}`);
-                    return;
-                }
-                
-                // Mark this event as scheduled
-                this.scheduledEvents.add(eventKey);
+            openSongModal() {
+                this.renderSongSteps();
+                document.getElementById('song-modal').style.display = 'flex';
+            }
+            
+            /**
+             * Close the song chain editor
+             * @method closeSongModal
+             */
+            closeSongModal() {
+                document.getElementById('song-modal').style.display = 'none';
+            }
+            
+            /**
+             * Append the selected pattern to the song chain
+             * @method addSongStep
+             * @description Adding the same pattern as the last step raises its repeat count instead
+             */
+            addSongStep() {
+                const last = this.song[this.song.length - 1];
                 
-                // Clean up old events after a reasonable time
-                setTimeout(() => {
-                    this.scheduledEvents.delete(eventKey);
-                }, 1000); // Keep for 1 second to prevent duplicates
+                if (last && last.pattern === this.currentPatternIndex && last.repeats < MAX_SONG_REPEATS) {
+                    last.repeats++;
+                } else {
+                    this.song.push({ pattern: this.currentPatternIndex, repeats: 1 });
+                }
                 
-                const originalBank = this.currentBank;
-                if (ev.bank && ev.bank !== originalBank) this.selectBank(ev.bank);
-                this.playPad(ev.pad, when); // <-- usa la nueva firma con when
-                if (ev.bank && ev.bank !== originalBank) setTimeout(() => this.selectBank(originalBank), 0);
+                this.renderSongSteps();
             }
             
             /**
-             * Queue bar for scheduler processing
-             * @method queueBar
-             * @param {number} barIndex - Index of the bar to queue (0-3)
-             * @description Prepares the next bar for scheduler processing
+             * Remove the last step of the song chain
+             * @method removeSongStep
              */
-            queueBar(barIndex) {
-                // Preparar la siguiente barra para el scheduler
-                if (barIndex < BAR_COUNT && this.sequence[barIndex]) {
-                    this.logToTerminal(`Bar ${barIndex + 1} queued for scheduler`, 'info');
-                }
+            removeSongStep() {
+                this.song.pop();
+                this.renderSongSteps();
             }
             
             /**
-             * Calculate bar duration in seconds
-             * @method barDuration
-             * @returns {number} Duration of one bar in seconds
-             * @description Calculates the time duration of a complete bar based on current BPM
+             * Remove every step of the song chain
+             * @method clearSong
              */
-            barDuration() { 
-                return (60 / this.bpm) * BEATS_PER_BAR; 
+            clearSong() {
+                this.song = [];
+                this.songPosition = null;
+                this.renderSongSteps();
+                this.logToTerminal('Song chain cleared', 'info');
             }
             
             /**
-             * Calculate beat duration in seconds
-             * @method beatDuration
-             * @returns {number} Duration of one beat in seconds
-             * @description Calculates the time duration of one beat based on current BPM
+             * Cycle the repeat count of a song chain step (1 to MAX_SONG_REPEATS)
+             * @method cycleSongRepeats
+             * @param {number} stepIndex - Index of the chain step
+             */
+            cycleSongRepeats(stepIndex) {
+                const step = this.song[stepIndex];
+                if (!step) return;
+                
+                step.repeats = step.repeats >= MAX_SONG_REPEATS ? 1 : step.repeats + 1;
+                this.renderSongSteps();
+            }
+            
+            /**
+             * Toggle song (chain) mode
+             * @method toggleSongMode
+             * @description While playing, the chain takes over at the end of the current pattern
+             */
+            toggleSongMode() {
+                this.songMode = !this.songMode;
+                this.songPosition = null;
+                
+                if (this.songMode) {
+                    this.queuedPatternIndex = null;
+                    this.updatePatternSelector();
+                }
+                
+                this.renderSongSteps();
+                this.logToTerminal(`Song mode ${this.songMode ? 'ON' : 'OFF'}${this.songMode && this.song.length === 0 ? ' (chain is empty)' : ''}`, 'info');
+            }
+            
+            /**
+             * Render the song chain editor and SONG button state
+             * @method renderSongSteps
              */
-            beatDuration() { 
-                return 60 / this.bpm; 
+            renderSongSteps() {
+                const self = this;
+                const songBtn = document.getElementById('song-button');
+                const toggleBtn = document.getElementById('song-toggle');
+                const list = document.getElementById('song-steps');
+                
+                if (songBtn) songBtn.classList.toggle('active', this.songMode);
+                if (toggleBtn) toggleBtn.textContent = this.songMode ? 'Song ON' : 'Song OFF';
+                if (!list) return;
+                
+                list.innerHTML = '';
+                
+                if (this.song.length === 0) {
+                    list.textContent = 'Chain is empty. Select a pattern and press Add.';
+                    return;
+                }
+                
+                this.song.forEach(function(step, stepIndex) {
+                    const stepBtn = document.createElement('button');
+                    stepBtn.className = 'slicer-btn song-step';
+                    stepBtn.title = 'Click to change repeats';
+                    stepBtn.textContent = (stepIndex + 1) + '. P' + String(step.pattern + 1).padStart(2, '0') + ' x' + step.repeats;
+                    stepBtn.addEventListener('click', function() { self.cycleSongRepeats(stepIndex); });
+                    list.appendChild(stepBtn);
+                });
             }
             
             /**
@@ -3664,16 +8877,7 @@
                 const activeSourceKeys = Object.keys(this.activeSources);
                 
                 activeSourceKeys.forEach(padNumber => {
-                    if (this.activeSources[padNumber]) {
-                        try {
-                            this.activeSources[padNumber].stop();
-                            this.activeSources[padNumber].disconnect();
-                            delete this.activeSources[padNumber];
-                            sourcesCleaned++;
-                        } catch (error) {
-                            console.warn('Error cleaning up audio source for pad', padNumber, error);
-                        }
-                    }
+                    sourcesCleaned += this.stopPadIfPlaying(padNumber);
                 });
                 
                 // NEW: Clear scheduled events to prevent duplicates
@@ -3698,6 +8902,9 @@
                     this.schedulerTimer = null;
                 }
                 
+                if (this.isPlaying) {
+                    this.midiClock.stop();
+                }
                 this.isPlaying = false;
                 this.isRecording = false; // Also stop recording if active
                 
@@ -3708,6 +8915,17 @@
                 
                 // NEW: Clear scheduled events when stopping sequence
                 this.scheduledEvents.clear();
+                this.cancelAutomation();
+                
+                // Drop pending pattern switches
+                this.queuedPatternIndex = null;
+                this.songPosition = null;
+                this.barTimeline = [];
+                this.updatePatternSelector();
+                
+                if (this.stepGrid.isOpen()) {
+                    this.stepGrid.updatePlayhead(-1, 0);
+                }
                 
                 // NEW: Deactivate edit mode when stopping sequence
                 if (this.isEditMode) {
@@ -3723,6 +8941,7 @@
                     recordBtn.classList.remove('active');
                     recordBtn.textContent = 'REC';
                 }
+                this.midiOutput.refresh();
                 
                 // Reset counters
                 this.currentBar = 0;
@@ -3786,13 +9005,16 @@
                 }
                 
                 this.isRecording = true;
-                this.sequence = Array(BAR_COUNT).fill().map(function() { return []; });
+                this.sequence = this.createEmptySequence();
+                this.pattern.automation = {};
+                this.automationTouched = new Set();
                 this.currentBar = 0;
                 this.currentBeat = 1;
                 
                 const recordBtn = document.getElementById('record-sequence');
                 recordBtn.textContent = "STOP";
                 recordBtn.classList.add('active');
+                this.midiOutput.refresh();
                 this.updateBarBeatDisplay();
                 
                 // NEW: Show quantization and grid information
@@ -3831,6 +9053,7 @@
                 
                 this.isRecording = true;
                 this.isOverdubbing = true; // NEW: Flag to indicate overdub mode
+                this.automationTouched = new Set();
                 this.currentBar = 0;
                 this.currentBeat = 1;
                 
@@ -3840,6 +9063,7 @@
                 const overdubBtn = document.getElementById('overdub-sequence');
                 overdubBtn.textContent = "STOP";
                 overdubBtn.classList.add('active');
+                this.midiOutput.refresh();
                 this.updateBarBeatDisplay();
                 
                 // NEW: Show quantization and grid information for overdub
@@ -3860,16 +9084,17 @@
              * @description Provides count-in beats before actual recording begins
              */
             startPrecount() {
-                let preCountRemaining = PRE_COUNT_BARS * BEATS_PER_BAR;
+                const beatsPerBar = this.pattern.beatsPerBar;
+                let preCountRemaining = PRE_COUNT_BARS * beatsPerBar;
                 this.startMetronome();
                 
                 // NEW: Timeline-based pre-count (Cuellos de botella fix)
                 const self = this;
-                const beatDuration = 60 / this.bpm;
+                const beatDuration = this.beatDuration();
                 
                 function preCount() {
                     if (preCountRemaining > 0) {
-                        self.logToTerminal('Pre-count: ' + Math.ceil(preCountRemaining / BEATS_PER_BAR), 'info');
+                        self.logToTerminal('Pre-count: ' + Math.ceil(preCountRemaining / beatsPerBar), 'info');
                         preCountRemaining--;
                         
                         // Programar el siguiente click en la timeline
@@ -3949,6 +9174,7 @@
                     recordBtn.classList.remove('active');
                     this.logToTerminal('Recording stopped', 'info');
                 }
+                this.midiOutput.refresh();
                 
                 this.stopTimers();
                 
@@ -3962,9 +9188,10 @@
             /**
              * Start sequence playback
              * @method playSequence
+             * @param {number} startTime - Optional audio time of the downbeat (following MIDI clock)
              * @description Begins playing the recorded sequence with deterministic scheduler
              */
-            playSequence() {
+            playSequence(startTime) {
                 if (this.isPlaying) return;
                 
                 if (!this.audioContext) {
@@ -3972,7 +9199,9 @@
                     return;
                 }
                 
-                const hasSequenceData = this.sequence.some(function(bar) { return bar.length > 0; });
+                const hasSequenceData = this.songMode && this.song.length > 0 ?
+                    this.song.some(step => this.patternHasData(step.pattern)) :
+                    this.hasRecordedSequence();
                 if (!hasSequenceData) {
                     this.logToTerminal('No recorded sequence to play.', 'warning');
                     return;
@@ -3998,7 +9227,7 @@
                 this.logToTerminal('Playing sequence with deterministic scheduler', 'info');
                 
                 // NEW: Use deterministic scheduler instead of old system
-                this.startSequence();
+                this.startSequence(startTime);
             }
             
             /**
@@ -4040,25 +9269,18 @@
                     this.logToTerminal('Stopping ' + activeSourceKeys.length + ' active audio sources...', 'info');
                     
                     activeSourceKeys.forEach(padNumber => {
-                        if (this.activeSources[padNumber]) {
-                            try {
-                                this.activeSources[padNumber].stop();
-                                this.activeSources[padNumber].disconnect();
-                                delete this.activeSources[padNumber];
-                                stoppedSamples++;
-                                
-                                // Remove playing state from pad UI
-                                const pad = document.querySelector('.pad[data-number="' + padNumber + '"]');
-                                if (pad) {
-                                    pad.classList.remove('playing');
-                                    pad.classList.remove('pad-active');
-                                }
-                                
-                                this.logToTerminal('Stopped audio source for Pad ' + padNumber, 'info');
-                            } catch (e) {
-                                console.warn('Error stopping audio source for pad ' + padNumber + ':', e);
-                                this.logToTerminal('Error stopping Pad ' + padNumber + ': ' + e.message, 'warning');
+                        const stopped = this.stopPadIfPlaying(padNumber);
+                        if (stopped > 0) {
+                            stoppedSamples += stopped;
+                            
+                            // Remove playing state from pad UI
+                            const pad = document.querySelector('.pad[data-number="' + padNumber + '"]');
+                            if (pad) {
+                                pad.classList.remove('playing');
+                                pad.classList.remove('pad-active');
                             }
+                            
+                            this.logToTerminal('Stopped ' + stopped + ' voice(s) for Pad ' + padNumber, 'info');
                         }
                     });
                 }
@@ -4110,23 +9332,14 @@
              * @description Immediately stops audio playback for a specific pad
              */
             forceStopPad(padNumber) {
-                if (this.activeSources[padNumber]) {
-                    try {
-                        this.activeSources[padNumber].stop();
-                        this.activeSources[padNumber].disconnect();
-                        delete this.activeSources[padNumber];
-                        
-                        const pad = document.querySelector('.pad[data-number="' + padNumber + '"]');
-                        if (pad) {
-                            pad.classList.remove('playing', 'pad-active');
-                        }
-                        
-                        this.logToTerminal('Force stopped Pad ' + padNumber, 'info');
-                        return true;
-                    } catch (e) {
-                        console.warn('Error force stopping pad ' + padNumber + ':', e);
-                        return false;
+                if (this.stopPadIfPlaying(padNumber) > 0) {
+                    const pad = document.querySelector('.pad[data-number="' + padNumber + '"]');
+                    if (pad) {
+                        pad.classList.remove('playing', 'pad-active');
                     }
+                    
+                    this.logToTerminal('Force stopped Pad ' + padNumber, 'info');
+                    return true;
                 }
                 return false;
             }
@@ -4134,13 +9347,14 @@
             /**
              * Clear the recorded sequence
              * @method clearSequence
-             * @description Removes all recorded events and resets sequence state
+             * @description Removes all recorded events and automation and resets sequence state
              */
             clearSequence() {
-                this.sequence = Array(BAR_COUNT).fill().map(function() { return []; });
+                this.sequence = this.createEmptySequence();
+                this.pattern.automation = {};
                 this.currentBar = 0;
                 this.updateBarBeatDisplay();
-                this.logToTerminal('Sequence cleared', 'info');
+                this.logToTerminal(`Sequence cleared (Pattern ${this.currentPatternIndex + 1})`, 'info');
             }
             
 
@@ -5108,6 +10322,364 @@
                 
                 this.logToTerminal('Audio editor closed', 'info');
             }
+            
+            // ============================================================================
+            // OFFLINE RENDERING METHODS
+            // ============================================================================
+            
+            /**
+             * Resolve the buffer region a sample plays
+             * @method resolveSampleRegion
+             * @param {AudioBuffer|Object} sample - Plain AudioBuffer or sample/slice object
+             * @returns {Object|null} { buffer, offset, duration } (duration undefined = to the end)
+             */
+            resolveSampleRegion(sample) {
+                if (!sample) return null;
+                
+                if (sample.buffer && sample.offset !== undefined && sample.duration !== undefined) {
+                    // Non-destructive slice
+                    return { buffer: sample.buffer, offset: sample.offset, duration: sample.duration };
+                }
+                if (sample.buffer) {
+                    return { buffer: sample.buffer, offset: 0, duration: undefined };
+                }
+                if (typeof sample.getChannelData === 'function') {
+                    return { buffer: sample, offset: 0, duration: undefined };
+                }
+                return null;
+            }
+            
+            /**
+             * Lay out the bars of one render loop
+             * @method getRenderTimeline
+             * @returns {Object} { bars: [{ pattern, barIndex, startTime }], duration }
+             * @description In song mode a loop is one pass of the song chain (each step's pattern played
+             * `repeats` times, in order, as advancePlayhead walks it); otherwise it is the selected pattern
+             */
+            getRenderTimeline() {
+                const steps = this.songMode && this.song.length > 0 ? this.song : [{ pattern: this.currentPatternIndex, repeats: 1 }];
+                const bars = [];
+                let time = 0;
+                steps.forEach(step => {
+                    const pattern = this.patterns[step.pattern];
+                    for (let repeat = 0; repeat < step.repeats; repeat++) {
+                        for (let barIndex = 0; barIndex < pattern.bars; barIndex++) {
+                            bars.push({ pattern: pattern, barIndex: barIndex, startTime: time });
+                            time += this.barDuration(pattern);
+                        }
+                    }
+                });
+                return { bars: bars, duration: time };
+            }
+            
+            /**
+             * Render the recorded sequence faster than real time
+             * @method renderSequence
+             * @param {Object} options - Render options
+             * @param {number} options.cycles - Number of loops (song passes in song mode) to render
+             * @param {Function} options.filter - Optional event filter (ev → boolean); filtered-out events are
+             * muted, not dropped, so they still choke and steal voices exactly as in the full mix
+             * @param {boolean} options.printEffects - Route through the master chain (default true)
+             * @returns {Promise<AudioBuffer>} Rendered stereo audio, exactly `cycles` loops long
+             * @description Plays every event of the selected pattern, or of the song chain in song mode, at the
+             * current BPM into an OfflineAudioContext, taking samples from each event's own bank without touching
+             * currentBank
+             */
+            async renderSequence(options = {}) {
+                const cycles = Math.max(1, options.cycles || 1);
+                const printEffects = options.printEffects !== false;
+                const sampleRate = this.audioContext ? this.audioContext.sampleRate : 44100;
+                const timeline = this.getRenderTimeline();
+                const loopDuration = timeline.duration;
+                const renderDuration = loopDuration * cycles;
+                
+                const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+                const offline = new OfflineContextClass(2, Math.ceil(renderDuration * sampleRate), sampleRate);
+                if (this.workletContexts.has(this.audioContext)) {
+                    await this.loadAudioWorklets(offline);
+                }
+                
+                // Same master chain and sends as live playback, configured from effectsValues
+                let destination = offline.destination;
+                let sends = null;
+                if (printEffects) {
+                    const chain = this.buildEffectsChain(offline);
+                    this.applyInitialEffectsValues(chain);
+                    chain.output.connect(offline.destination);
+                    destination = chain.input;
+                    sends = chain.sends;
+                    this.scheduleRenderAutomation(offline, chain, timeline, cycles);
+                }
+                
+                // Per-pad gain stage mirroring preCreatedGains
+                const padGains = {};
+                const getPadGain = padNumber => {
+                    if (!padGains[padNumber]) {
+                        padGains[padNumber] = offline.createGain();
+                        const liveGain = this.preCreatedGains[padNumber];
+                        padGains[padNumber].gain.value = liveGain ? liveGain.gain.value : 1.0;
+                        padGains[padNumber].connect(destination);
+                    }
+                    return padGains[padNumber];
+                };
+                
+                // Collect hits in time order so play modes, voice modes and choke groups cut the same voices as live
+                // (gate pads play their full region: releases are not part of the sequence)
+                const hits = [];
+                for (let cycle = 0; cycle < cycles; cycle++) {
+                    timeline.bars.forEach(({ pattern, barIndex, startTime }) => {
+                        const bar = pattern.sequence[barIndex];
+                        if (!bar) return;
+                        bar.forEach(ev => {
+                            const bank = ev.bank || this.currentBank;
+                            const settings = this.getPadSettings(bank, ev.pad);
+                            const region = this.getPlaybackRegion(this.bankSamples[bank] && this.bankSamples[bank][ev.pad], settings);
+                            if (!region) return;
+                            
+                            const when = (cycle * loopDuration) + startTime + ev.time;
+                            if (when >= renderDuration) return;
+                            
+                            hits.push({
+                                ev: ev, bank: bank, settings: settings, region: region, when: when,
+                                muted: !!options.filter && !options.filter(ev)
+                            });
+                        });
+                    });
+                }
+                hits.sort((a, b) => a.when - b.when);
+                
+                // Muted voices have no nodes; they only take part in toggles, chokes and voice limits
+                const releaseRendered = (voice, when, releaseTime = VOICE_RELEASE_TIME) => {
+                    voice.endTime = Math.min(voice.endTime, when + releaseTime);
+                    if (voice.source) {
+                        this.releaseVoice(voice, when, releaseTime);
+                    } else {
+                        voice.released = true;
+                    }
+                };
+                
+                let voices = [];
+                let audibleHits = 0;
+                hits.forEach(hit => {
+                    // Voices that already ended (like onended removes them live)
+                    voices = voices.filter(voice => voice.endTime > hit.when);
+                    
+                    const toggled = this.getToggledVoices(voices, hit.bank, hit.ev.pad, hit.when);
+                    if (toggled.length > 0) {
+                        toggled.forEach(voice => releaseRendered(voice, hit.when, voice.release));
+                        return;
+                    }
+                    
+                    this.getChokedVoices(voices, hit.bank, hit.ev.pad, hit.when).forEach(voice => {
+                        releaseRendered(voice, hit.when);
+                    });
+                    
+                    const playMode = hit.settings.playMode;
+                    const isLooped = playMode === 'loop' || playMode === 'toggle';
+                    const voice = {
+                        source: null,
+                        gain: null,
+                        bank: hit.bank,
+                        pad: hit.ev.pad,
+                        startTime: hit.when,
+                        endTime: isLooped ? Infinity : hit.when + hit.region.duration / hit.region.rate,
+                        playMode: playMode,
+                        release: hit.settings.release / 1000
+                    };
+                    voices.push(voice);
+                    if (hit.muted) return;
+                    
+                    const source = offline.createBufferSource();
+                    source.buffer = hit.region.buffer;
+                    source.playbackRate.value = hit.region.rate;
+                    const voiceGain = offline.createGain();
+                    this.applyEnvelope(voiceGain.gain, hit.settings, hit.region, hit.when);
+                    const velocityStage = this.createVelocityStage(offline, hit.ev.velocity || DEFAULT_VELOCITY);
+                    const padStage = this.createPadStage(offline, hit.settings, hit.ev.velocity || DEFAULT_VELOCITY, hit.when);
+                    source.connect(voiceGain);
+                    voiceGain.connect(velocityStage.input);
+                    velocityStage.output.connect(padStage.input);
+                    padStage.output.connect(getPadGain(hit.ev.pad));
+                    this.connectSends(offline, padStage.output, hit.settings, sends);
+                    this.startVoiceSource(source, hit.region, playMode, hit.when);
+                    
+                    voice.source = source;
+                    voice.gain = voiceGain;
+                    audibleHits++;
+                });
+                
+                console.log(`[RENDER] Rendering ${audibleHits}/${hits.length} events, ${cycles} cycles, ${renderDuration.toFixed(2)}s`);
+                return offline.startRendering();
+            }
+            
+            /**
+             * Open the bounce options modal
+             * @method openBounceModal
+             * @param {string} mode - 'mix' for a single stereo bounce, 'stems' for one file per pad
+             * @description Shows loop count and WAV format choices (plus master FX for stems)
+             */
+            openBounceModal(mode = 'mix') {
+                if (!this.audioContext) {
+                    this.logToTerminal('Please start audio before bouncing.', 'warning');
+                    return;
+                }
+                
+                if (this.getSequenceStems().length === 0) {
+                    this.logToTerminal('No recorded sequence to bounce.', 'warning');
+                    return;
+                }
+                
+                // Song mode renders the whole chain, one pass per loop
+                const isSong = this.songMode && this.song.length > 0;
+                this.bounceMode = mode;
+                document.getElementById('bounce-title').textContent = (mode === 'stems' ? 'Export Stems' : 'Bounce to WAV') + (isSong ? ' (Song)' : '');
+                document.getElementById('bounce-loops-label').textContent = isSong ? 'Song passes to render' : 'Loops to render';
+                document.getElementById('bounce-fx-group').style.display = mode === 'stems' ? 'block' : 'none';
+                document.getElementById('bounce-modal').style.display = 'flex';
+            }
+            
+            /**
+             * Close the bounce options modal
+             * @method closeBounceModal
+             */
+            closeBounceModal() {
+                document.getElementById('bounce-modal').style.display = 'none';
+            }
+            
+            /**
+             * Select an option button inside a modal option group
+             * @method selectOptionButton
+             * @param {HTMLElement} button - The clicked option button
+             */
+            selectOptionButton(button) {
+                button.parentNode.querySelectorAll('.slicer-btn').forEach(function(btn) {
+                    btn.classList.remove('selected');
+                });
+                button.classList.add('selected');
+            }
+            
+            /**
+             * Read the selected value of a bounce option group
+             * @method getBounceOption
+             * @param {string} groupId - Option group element id
+             * @returns {number} Selected numeric value
+             */
+            getBounceOption(groupId) {
+                const selected = document.querySelector('#' + groupId + ' .slicer-btn.selected');
+                return selected ? parseInt(selected.dataset.value, 10) : 0;
+            }
+            
+            /**
+             * Run the render chosen in the bounce modal
+             * @method confirmBounce
+             */
+            confirmBounce() {
+                const cycles = this.getBounceOption('bounce-cycles');
+                const bitDepth = this.getBounceOption('bounce-format');
+                
+                if (this.bounceMode === 'stems') {
+                    this.exportStems(cycles, bitDepth, this.getBounceOption('bounce-fx') === 1);
+                } else {
+                    this.bounceSequence(cycles, bitDepth);
+                }
+            }
+            
+            /**
+             * Bounce the sequence to a WAV download
+             * @method bounceSequence
+             * @param {number} cycles - Number of loop cycles to render
+             * @param {number} bitDepth - 16, 24 or 32 (float)
+             * @description Renders offline through the master chain and downloads the result
+             */
+            async bounceSequence(cycles, bitDepth) {
+                this.closeBounceModal();
+                
+                try {
+                    const formatLabel = bitDepth === 32 ? '32-bit float' : bitDepth + '-bit';
+                    this.logToTerminal(`Bouncing ${cycles} loop(s) at ${this.bpm} BPM (${formatLabel})...`, 'info');
+                    
+                    const startedAt = performance.now();
+                    const rendered = await this.renderSequence({ cycles: cycles });
+                    const elapsed = (performance.now() - startedAt) / 1000;
+                    
+                    const blob = encodeWav(rendered, bitDepth);
+                    this.downloadBlob(blob, `embryo-bounce-${this.bpm}bpm-${cycles}x.wav`);
+                    
+                    this.logToTerminal(`Bounce ready: ${rendered.duration.toFixed(2)}s rendered in ${elapsed.toFixed(2)}s`, 'info');
+                } catch (error) {
+                    console.error('Error bouncing sequence:', error);
+                    this.logToTerminal('Error bouncing sequence: ' + error.message, 'error');
+                }
+            }
+            
+            /**
+             * Collect the pad/bank combinations used by the rendered bars
+             * @method getSequenceStems
+             * @returns {Array<Object>} Sorted { bank, pad, count } entries, one per stem (counts per loop)
+             */
+            getSequenceStems() {
+                const stems = {};
+                
+                this.getRenderTimeline().bars.forEach(({ pattern, barIndex }) => {
+                    const bar = pattern.sequence[barIndex];
+                    if (!bar) return;
+                    bar.forEach(ev => {
+                        const bank = ev.bank || this.currentBank;
+                        const key = `${bank}-${ev.pad}`;
+                        if (!stems[key]) {
+                            stems[key] = { bank: bank, pad: ev.pad, count: 0 };
+                        }
+                        stems[key].count++;
+                    });
+                });
+                
+                return Object.values(stems).sort((a, b) => a.bank === b.bank ? a.pad - b.pad : a.bank.localeCompare(b.bank));
+            }
+            
+            /**
+             * Export one time-aligned WAV per pad/bank with events
+             * @method exportStems
+             * @param {number} cycles - Number of loop cycles to render
+             * @param {number} bitDepth - 16, 24 or 32 (float)
+             * @param {boolean} printEffects - Print the master effects on each stem
+             * @description Every stem starts at the loop start and has the same length, so they line up when dropped into a DAW
+             */
+            async exportStems(cycles, bitDepth, printEffects) {
+                this.closeBounceModal();
+                
+                const stems = this.getSequenceStems();
+                if (stems.length === 0) {
+                    this.logToTerminal('No recorded sequence to export.', 'warning');
+                    return;
+                }
+                
+                try {
+                    this.logToTerminal(`Exporting ${stems.length} stem(s), ${cycles} loop(s)${printEffects ? ' with master FX' : ''}...`, 'info');
+                    
+                    for (const stem of stems) {
+                        const rendered = await this.renderSequence({
+                            cycles: cycles,
+                            printEffects: printEffects,
+                            filter: ev => (ev.bank || this.currentBank) === stem.bank && ev.pad === stem.pad
+                        });
+                        
+                        const sampleName = (this.sampleNames[stem.bank] && this.sampleNames[stem.bank][stem.pad]) || 'pad';
+                        const safeName = sampleName.replace(/\.[^.]+$/, '').replace(/[^a-z0-9_-]+/gi, '_');
+                        const padLabel = String(stem.pad).padStart(2, '0');
+                        this.downloadBlob(encodeWav(rendered, bitDepth), `embryo-stem-${stem.bank}${padLabel}-${safeName}.wav`);
+                        
+                        this.logToTerminal(`Stem ${stem.bank}${stem.pad} (${sampleName}): ${stem.count} event(s)`, 'info');
+                        
+                        // Browsers drop rapid consecutive downloads
+                        await new Promise(resolve => setTimeout(resolve, 300));
+                    }
+                    
+                    this.logToTerminal(`Stems export complete: ${stems.length} file(s)`, 'info');
+                } catch (error) {
+                    console.error('Error exporting stems:', error);
+                    this.logToTerminal('Error exporting stems: ' + error.message, 'error');
+                }
+            }
 
         }
         